@@ -0,0 +1,198 @@
+// ai-usage.js - Token and cost accounting for the AI requests of GNOME At A Glance
+//
+// Every completed request is added to a rolling per-day history in
+// ~/.config/at-a-glance/ai-usage-history.json with its tokens and estimated cost, split by
+// request type and by provider model, along with the day's response cache hits and misses.
+// Costs use DEFAULT_PRICING plus "llm.pricing" from config.json (USD per million tokens);
+// the daily and monthly dollar budgets in "llm.budget" are checked against this history.
+// The extension writes the file and the preferences window reads and resets it, so it is
+// re-read whenever its modification time changes. Cache lookups are only counted in memory
+// and written with the next request or flush().
+import Gio from 'gi://Gio';
+
+import { CONFIG_DIR, readJsonMap, writeJsonMap } from './json-store.js';
+
+const HISTORY_DAYS = 90;
+const DEFAULT_WARN_AT = 0.8;
+
+// USD per million input/output tokens
+export const DEFAULT_PRICING = {
+    'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku-20241022': { input: 0.80, output: 4.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 }
+};
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Local calendar day as "YYYY-MM-DD"
+export function dayKey(date = new Date()) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export function estimateCost(usage, price) {
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1e6;
+}
+
+function emptyTotals() {
+    return { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+}
+
+function addTotals(totals, entry) {
+    totals.requests += entry.requests;
+    totals.inputTokens += entry.inputTokens;
+    totals.outputTokens += entry.outputTokens;
+    totals.cost += entry.cost;
+    return totals;
+}
+
+function emptyDay() {
+    return { ...emptyTotals(), cacheHits: 0, cacheMisses: 0, types: {}, models: {} };
+}
+
+// Adds a day record, including its per-type and per-model totals, to `into`
+function addDay(into, day) {
+    addTotals(into, day);
+    into.cacheHits += day.cacheHits || 0;
+    into.cacheMisses += day.cacheMisses || 0;
+    for (const group of ['types', 'models']) {
+        for (const [name, totals] of Object.entries(day[group] || {})) {
+            into[group][name] = addTotals(into[group][name] || emptyTotals(), totals);
+        }
+    }
+    return into;
+}
+
+export class UsageLedger {
+    constructor() {
+        this.historyFile = `${CONFIG_DIR}/ai-usage-history.json`;
+        this.loadedModified = null;
+        this.days = this.loadHistory(); // "YYYY-MM-DD" -> { requests, inputTokens, outputTokens, cost, cacheHits, cacheMisses, types, models }
+        this.pendingLookups = new Map(); // "YYYY-MM-DD" -> { cacheHits, cacheMisses } not yet written
+    }
+
+    // Modification time of the history file in microseconds, or null when there is none
+    _getModified() {
+        try {
+            const info = Gio.File.new_for_path(this.historyFile)
+                .query_info('time::modified,time::modified-usec', Gio.FileQueryInfoFlags.NONE, null);
+            const modified = info.get_modification_date_time();
+            return modified ? modified.to_unix() * 1000000 + modified.get_microsecond() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Picks up writes from the other process (the extension or the preferences window)
+    _reloadIfChanged() {
+        if (this._getModified() !== this.loadedModified) {
+            this.days = this.loadHistory();
+        }
+    }
+
+    loadHistory() {
+        this.loadedModified = this._getModified();
+        return readJsonMap(this.historyFile, 'AI usage history');
+    }
+
+    saveHistory() {
+        if (writeJsonMap(this.historyFile, this.days, 'AI usage history')) {
+            this.loadedModified = this._getModified();
+        }
+    }
+
+    // Adds one completed request; `modelId` is the provider id ("anthropic:claude-3-haiku-20240307")
+    record(type, modelId, usage, cost, now = new Date()) {
+        const entry = { requests: 1, inputTokens: usage.inputTokens, outputTokens: usage.outputTokens, cost: cost };
+        this._addToDay(now, { ...entry, types: { [type]: entry }, models: { [modelId]: entry } });
+    }
+
+    recordCacheLookup(hit, now = new Date()) {
+        const key = dayKey(now);
+        const lookups = this.pendingLookups.get(key) || { cacheHits: 0, cacheMisses: 0 };
+        lookups[hit ? 'cacheHits' : 'cacheMisses']++;
+        this.pendingLookups.set(key, lookups);
+    }
+
+    // Writes the cache lookups counted since the last write
+    flush(now = new Date()) {
+        if (this.pendingLookups.size > 0) {
+            this._addToDay(now, emptyDay());
+        }
+    }
+
+    getDay(date = new Date()) {
+        this._reloadIfChanged();
+        return addDay(emptyDay(), this.days.get(dayKey(date)) || emptyDay());
+    }
+
+    // Totals of the calendar month containing `date`
+    getMonth(date = new Date()) {
+        this._reloadIfChanged();
+        const prefix = dayKey(date).slice(0, 7);
+        const month = emptyDay();
+        for (const [key, day] of this.days) {
+            if (key.startsWith(prefix)) addDay(month, day);
+        }
+        return month;
+    }
+
+    // The last `days` days up to `now`, oldest first: [{ date, ...day record }]
+    getHistory(days = 30, now = new Date()) {
+        this._reloadIfChanged();
+        const history = [];
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const date = dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset));
+            history.push({ date: date, ...addDay(emptyDay(), this.days.get(date) || emptyDay()) });
+        }
+        return history;
+    }
+
+    clear() {
+        this.days.clear();
+        this.pendingLookups.clear();
+        this.saveHistory();
+    }
+
+    _addToDay(now, entry) {
+        this._reloadIfChanged();
+        const key = dayKey(now);
+        this.days.set(key, addDay(this.days.get(key) || emptyDay(), entry));
+        for (const [lookupKey, lookups] of this.pendingLookups) {
+            this.days.set(lookupKey, addDay(this.days.get(lookupKey) || emptyDay(), { ...emptyDay(), ...lookups }));
+        }
+        this.pendingLookups.clear();
+
+        // Rolling window: forget days older than HISTORY_DAYS
+        const cutoff = dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - HISTORY_DAYS));
+        for (const oldKey of [...this.days.keys()]) {
+            if (oldKey < cutoff) this.days.delete(oldKey);
+        }
+        this.saveHistory();
+    }
+}
+
+/**
+ * Spending against the "llm.budget" section ({ daily_usd, monthly_usd, warn_at }):
+ * { daily: { spent, limit, state }, monthly: { ... }, warning, exceeded }. A missing
+ * limit means no budget. `state` is "ok", "warning" once `warn_at` (default 80%) of the
+ * budget is spent, or "exceeded"; `warning` is set when either budget warns and
+ * `exceeded` names the budget that is used up ("daily" or "monthly"), otherwise null.
+ */
+export function getBudgetStatus(ledger, budgetConfig = {}, now = new Date()) {
+    const warnAt = budgetConfig.warn_at ?? DEFAULT_WARN_AT;
+    const check = (spent, limit) => {
+        const share = limit === null ? 0 : limit > 0 ? spent / limit : Infinity;
+        return { spent: spent, limit: limit, state: share >= 1 ? 'exceeded' : share >= warnAt ? 'warning' : 'ok' };
+    };
+    const daily = check(ledger.getDay(now).cost, budgetConfig.daily_usd ?? null);
+    const monthly = check(ledger.getMonth(now).cost, budgetConfig.monthly_usd ?? null);
+
+    return {
+        daily: daily,
+        monthly: monthly,
+        warning: daily.state !== 'ok' || monthly.state !== 'ok',
+        exceeded: daily.state === 'exceeded' ? 'daily' : monthly.state === 'exceeded' ? 'monthly' : null
+    };
+}
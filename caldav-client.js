@@ -0,0 +1,488 @@
+// caldav-client.js - CalDAV calendar access for GNOME At A Glance
+//
+// Discovers calendars with PROPFIND, loads the look-ahead window with a calendar-query
+// REPORT and afterwards keeps it current with sync-collection (RFC 6578).
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+
+const DAV_NS = 'DAV:';
+const CALDAV_NS = 'urn:ietf:params:xml:ns:caldav';
+const APPLE_ICAL_NS = 'http://apple.com/ns/ical/';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+
+const DISCOVERY_INTERVAL_MS = 60 * 60 * 1000; // New or renamed calendars show up within an hour
+const MAX_REDIRECTS = 5;
+
+// libsecret is loaded lazily so a missing typelib only disables keyring lookups
+let Secret = null;
+
+const XML_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const XML_ESCAPES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' };
+
+function decodeXMLEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1));
+            return String.fromCodePoint(code);
+        }
+        return XML_ENTITIES[entity] ?? match;
+    });
+}
+
+function escapeXML(text) {
+    return text.replace(/[<>&"']/g, char => XML_ESCAPES[char]);
+}
+
+/**
+ * Parses the subset of XML that WebDAV servers send back into a tree of
+ * { ns, name, attributes, children, text } elements with namespace prefixes resolved.
+ */
+export function parseXML(text) {
+    const root = { ns: null, name: '#document', children: [], text: '' };
+    const stack = [{ element: root, namespaces: { xml: XML_NS } }];
+    const tokenPattern = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+    let match;
+    while ((match = tokenPattern.exec(text)) !== null) {
+        const [, cdata, closing, tagName, attributeText, selfClosing, characters] = match;
+        const current = stack[stack.length - 1];
+
+        if (cdata !== undefined) {
+            current.element.text += cdata;
+        } else if (characters !== undefined) {
+            current.element.text += decodeXMLEntities(characters);
+        } else if (tagName && closing) {
+            if (stack.length > 1) stack.pop();
+        } else if (tagName) {
+            const namespaces = { ...current.namespaces };
+            const attributes = {};
+            for (const [, name, doubleQuoted, singleQuoted] of (attributeText || '').matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+                const value = decodeXMLEntities(doubleQuoted ?? singleQuoted ?? '');
+                attributes[name] = value;
+                if (name === 'xmlns') namespaces[''] = value;
+                else if (name.startsWith('xmlns:')) namespaces[name.substring(6)] = value;
+            }
+
+            const separator = tagName.indexOf(':');
+            const prefix = separator >= 0 ? tagName.substring(0, separator) : '';
+            const element = {
+                ns: namespaces[prefix] ?? null,
+                name: separator >= 0 ? tagName.substring(separator + 1) : tagName,
+                attributes: attributes,
+                children: [],
+                text: ''
+            };
+            current.element.children.push(element);
+            if (!selfClosing) stack.push({ element, namespaces });
+        }
+    }
+
+    return root;
+}
+
+export function findChild(element, ns, name) {
+    return element ? element.children.find(child => child.ns === ns && child.name === name) || null : null;
+}
+
+export function findChildren(element, ns, name) {
+    return element ? element.children.filter(child => child.ns === ns && child.name === name) : [];
+}
+
+// Text of an element and all its descendants, trimmed
+function getText(element) {
+    if (!element) return null;
+    return (element.text + element.children.map(child => getText(child) || '').join('')).trim();
+}
+
+function getStatusCode(element) {
+    const match = /HTTP\/[\d.]+\s+(\d{3})/.exec(getText(element) || '');
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Reads a DAV:multistatus body into { syncToken, responses: [{ href, status, props }] },
+ * where props only holds properties from successful (2xx) propstat blocks.
+ */
+export function parseMultistatus(text) {
+    const multistatus = findChild(parseXML(text), DAV_NS, 'multistatus');
+    if (!multistatus) throw new Error('Response is not a DAV:multistatus document');
+
+    const responses = findChildren(multistatus, DAV_NS, 'response').map(response => {
+        const props = {};
+        for (const propstat of findChildren(response, DAV_NS, 'propstat')) {
+            const status = getStatusCode(findChild(propstat, DAV_NS, 'status'));
+            if (status === null || status < 200 || status >= 300) continue;
+            for (const prop of findChild(propstat, DAV_NS, 'prop')?.children || []) {
+                props[`${prop.ns}#${prop.name}`] = prop;
+            }
+        }
+
+        return {
+            href: decodeURIComponent(getText(findChild(response, DAV_NS, 'href')) || ''),
+            status: getStatusCode(findChild(response, DAV_NS, 'status')),
+            props: props
+        };
+    });
+
+    return {
+        syncToken: getText(findChild(multistatus, DAV_NS, 'sync-token')),
+        responses: responses
+    };
+}
+
+function getProp(response, ns, name) {
+    return response.props[`${ns}#${name}`] || null;
+}
+
+function toCalDAVTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Looks up an account password stored with:
+ *   secret-tool store --label="At A Glance CalDAV" service caldav account <name>
+ */
+export async function lookupCalDAVPassword(accountName) {
+    try {
+        if (!Secret) {
+            Secret = (await import('gi://Secret?version=1')).default;
+        }
+    } catch (error) {
+        console.log('At A Glance: libsecret unavailable for CalDAV credentials:', error);
+        return null;
+    }
+
+    const schema = new Secret.Schema('org.gnome.shell.extensions.at-a-glance.caldav', Secret.SchemaFlags.DONT_MATCH_NAME, {
+        service: Secret.SchemaAttributeType.STRING,
+        account: Secret.SchemaAttributeType.STRING
+    });
+
+    return new Promise(resolve => {
+        Secret.password_lookup(schema, { service: 'caldav', account: accountName }, null, (source, result) => {
+            try {
+                resolve(Secret.password_lookup_finish(result));
+            } catch (error) {
+                console.log(`At A Glance: Keyring lookup failed for CalDAV account "${accountName}":`, error);
+                resolve(null);
+            }
+        });
+    });
+}
+
+export class CalDAVClient {
+    /**
+     * account: { name, url, username, password } - the password is normally filled in from
+     * the keyring by the caller; url may be the server root, a principal or a calendar.
+     */
+    constructor(account) {
+        this.account = account;
+        this.session = new Soup.Session({ timeout: 30 });
+        this.calendars = null;
+        this.discoveredAt = 0;
+        this.syncState = new Map(); // calendar href -> { syncToken, window, objects: Map(href -> { etag, data }) }
+    }
+
+    /**
+     * Returns one entry per calendar with the iCalendar data of every event that
+     * occurs in [rangeStart, rangeEnd), in the same shape as EDSCalendarClient.
+     */
+    async getEventComponents(rangeStart, rangeEnd) {
+        const calendars = await this.getCalendars();
+
+        const results = await Promise.all(calendars.map(async calendar => {
+            try {
+                const objects = await this._syncCalendar(calendar, rangeStart, rangeEnd);
+                return {
+                    sourceUid: calendar.url,
+                    calendarName: calendar.name,
+                    color: calendar.color,
+                    icsContent: [...objects.values()].map(object => object.data).join('\r\n')
+                };
+            } catch (error) {
+                console.log(`At A Glance: CalDAV sync failed for "${calendar.name}":`, error);
+                // A vanished calendar is dropped on the next discovery
+                this.discoveredAt = 0;
+                return null;
+            }
+        }));
+
+        return results.filter(Boolean);
+    }
+
+    async getCalendars() {
+        if (this.calendars && Date.now() - this.discoveredAt < DISCOVERY_INTERVAL_MS) {
+            return this.calendars;
+        }
+
+        this.calendars = await this._discoverCalendars();
+        this.discoveredAt = Date.now();
+
+        // Forget sync state of calendars that no longer exist
+        const urls = new Set(this.calendars.map(calendar => calendar.url));
+        for (const url of [...this.syncState.keys()]) {
+            if (!urls.has(url)) this.syncState.delete(url);
+        }
+
+        console.log(`At A Glance: CalDAV account "${this.account.name}" has ${this.calendars.length} calendars`);
+        return this.calendars;
+    }
+
+    async _discoverCalendars() {
+        const start = await this._propfind(this.account.url, 0, [
+            [DAV_NS, 'current-user-principal'],
+            [DAV_NS, 'resourcetype'],
+            [CALDAV_NS, 'calendar-home-set']
+        ]);
+        const startResponse = start.responses[0];
+
+        // The configured URL may already point at a single calendar
+        if (startResponse && this._isCalendar(startResponse)) {
+            const calendar = await this._propfind(this.account.url, 0, this._calendarProps());
+            return calendar.responses.map(response => this._toCalendar(response, this.account.url)).filter(Boolean);
+        }
+
+        let homeUrl = this._getHref(startResponse, CALDAV_NS, 'calendar-home-set', this.account.url);
+        if (!homeUrl) {
+            const principalUrl = this._getHref(startResponse, DAV_NS, 'current-user-principal', this.account.url);
+            if (!principalUrl) throw new Error('Server did not report a current-user-principal');
+
+            const principal = await this._propfind(principalUrl, 0, [[CALDAV_NS, 'calendar-home-set']]);
+            homeUrl = this._getHref(principal.responses[0], CALDAV_NS, 'calendar-home-set', principalUrl);
+            if (!homeUrl) throw new Error('Principal has no calendar-home-set');
+        }
+
+        const home = await this._propfind(homeUrl, 1, this._calendarProps());
+        return home.responses
+            .filter(response => this._isCalendar(response))
+            .map(response => this._toCalendar(response, homeUrl))
+            .filter(Boolean);
+    }
+
+    _calendarProps() {
+        return [
+            [DAV_NS, 'resourcetype'],
+            [DAV_NS, 'displayname'],
+            [DAV_NS, 'sync-token'],
+            [APPLE_ICAL_NS, 'calendar-color'],
+            [CALDAV_NS, 'supported-calendar-component-set']
+        ];
+    }
+
+    _isCalendar(response) {
+        return findChild(getProp(response, DAV_NS, 'resourcetype'), CALDAV_NS, 'calendar') !== null;
+    }
+
+    _toCalendar(response, baseUrl) {
+        // Skip task lists and journals; a missing component set means "anything"
+        const componentSet = getProp(response, CALDAV_NS, 'supported-calendar-component-set');
+        if (componentSet && !findChildren(componentSet, CALDAV_NS, 'comp').some(comp => comp.attributes.name === 'VEVENT')) {
+            return null;
+        }
+
+        const url = this._resolveUrl(baseUrl, response.href);
+        const color = getText(getProp(response, APPLE_ICAL_NS, 'calendar-color'));
+        return {
+            url: url,
+            name: getText(getProp(response, DAV_NS, 'displayname')) || url.replace(/\/$/, '').split('/').pop(),
+            // Apple clients store #RRGGBBAA
+            color: color ? color.replace(/^(#[0-9a-f]{6})[0-9a-f]{2}$/i, '$1') : null,
+            supportsSync: getProp(response, DAV_NS, 'sync-token') !== null
+        };
+    }
+
+    _getHref(response, ns, name, baseUrl) {
+        const href = response ? getText(findChild(getProp(response, ns, name), DAV_NS, 'href')) : null;
+        return href ? this._resolveUrl(baseUrl, href) : null;
+    }
+
+    _resolveUrl(baseUrl, href) {
+        const base = GLib.Uri.parse(baseUrl, GLib.UriFlags.NONE);
+        return base.parse_relative(href, GLib.UriFlags.NONE).to_string();
+    }
+
+    async _syncCalendar(calendar, rangeStart, rangeEnd) {
+        let state = this.syncState.get(calendar.url);
+
+        // sync-collection reports changes to any object, but objects that merely move into
+        // the window are only found by a new time-range query, so re-query once per window
+        const window = `${rangeStart.getTime()}/${rangeEnd.getTime()}`;
+        if (state && state.syncToken && state.window === window) {
+            try {
+                await this._incrementalSync(calendar, state);
+                return state.objects;
+            } catch (error) {
+                console.log(`At A Glance: CalDAV incremental sync of "${calendar.name}" failed, reloading:`, error);
+            }
+        }
+
+        // Read the token first so changes made during the query are caught by the next sync
+        let syncToken = null;
+        if (calendar.supportsSync) {
+            const [tokenResponse] = (await this._propfind(calendar.url, 0, [[DAV_NS, 'sync-token']])).responses;
+            syncToken = tokenResponse ? getText(getProp(tokenResponse, DAV_NS, 'sync-token')) : null;
+        }
+
+        state = {
+            syncToken: syncToken,
+            window: window,
+            objects: await this._queryTimeRange(calendar, rangeStart, rangeEnd)
+        };
+        this.syncState.set(calendar.url, state);
+
+        console.log(`At A Glance: CalDAV loaded ${state.objects.size} objects from "${calendar.name}"`);
+        return state.objects;
+    }
+
+    async _queryTimeRange(calendar, rangeStart, rangeEnd) {
+        const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${toCalDAVTime(rangeStart)}" end="${toCalDAVTime(rangeEnd)}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+        const result = await this._report(calendar.url, body, 1);
+        return this._readCalendarData(result.responses);
+    }
+
+    async _incrementalSync(calendar, state) {
+        const body = `<?xml version="1.0" encoding="utf-8"?>
+<d:sync-collection xmlns:d="DAV:">
+  <d:sync-token>${escapeXML(state.syncToken)}</d:sync-token>
+  <d:sync-level>1</d:sync-level>
+  <d:prop><d:getetag/></d:prop>
+</d:sync-collection>`;
+
+        const result = await this._report(calendar.url, body, 0);
+        const changedHrefs = [];
+        let removed = 0;
+
+        for (const response of result.responses) {
+            if (response.href.endsWith('/')) continue; // The collection itself
+
+            if (response.status === 404) {
+                if (state.objects.delete(response.href)) removed++;
+                continue;
+            }
+
+            const etag = getText(getProp(response, DAV_NS, 'getetag'));
+            const known = state.objects.get(response.href);
+            if (!known || !etag || known.etag !== etag) {
+                changedHrefs.push(response.href);
+            }
+        }
+
+        if (changedHrefs.length > 0) {
+            for (const [href, object] of await this._multiget(calendar, changedHrefs)) {
+                state.objects.set(href, object);
+            }
+        }
+
+        if (result.syncToken) state.syncToken = result.syncToken;
+        if (changedHrefs.length > 0 || removed > 0) {
+            console.log(`At A Glance: CalDAV sync of "${calendar.name}": ${changedHrefs.length} changed, ${removed} removed`);
+        }
+    }
+
+    async _multiget(calendar, hrefs) {
+        const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-multiget xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+${hrefs.map(href => `  <d:href>${escapeXML(encodeURI(href))}</d:href>`).join('\n')}
+</c:calendar-multiget>`;
+
+        const result = await this._report(calendar.url, body, 1);
+        return this._readCalendarData(result.responses);
+    }
+
+    _readCalendarData(responses) {
+        const objects = new Map();
+        for (const response of responses) {
+            const data = getText(getProp(response, CALDAV_NS, 'calendar-data'));
+            if (!data) continue;
+            objects.set(response.href, {
+                etag: getText(getProp(response, DAV_NS, 'getetag')),
+                data: data
+            });
+        }
+        return objects;
+    }
+
+    _propfind(url, depth, props) {
+        const namespaces = { [DAV_NS]: 'd', [CALDAV_NS]: 'c', [APPLE_ICAL_NS]: 'a' };
+        const body = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:a="http://apple.com/ns/ical/">
+  <d:prop>${props.map(([ns, name]) => `<${namespaces[ns]}:${name}/>`).join('')}</d:prop>
+</d:propfind>`;
+
+        return this._multistatusRequest('PROPFIND', url, body, depth);
+    }
+
+    _report(url, body, depth) {
+        return this._multistatusRequest('REPORT', url, body, depth);
+    }
+
+    async _multistatusRequest(method, url, body, depth) {
+        const response = await this._request(method, url, body, { 'Depth': String(depth) });
+        if (response.status !== 207) {
+            throw new Error(`${method} ${url} returned HTTP ${response.status}`);
+        }
+        return parseMultistatus(response.text);
+    }
+
+    async _request(method, url, body = null, headers = {}, redirects = 0) {
+        const message = Soup.Message.new(method, url);
+        if (!message) throw new Error(`Invalid CalDAV URL: ${url}`);
+
+        const requestHeaders = message.get_request_headers();
+        if (this.account.username) {
+            const credentials = new TextEncoder().encode(`${this.account.username}:${this.account.password || ''}`);
+            requestHeaders.append('Authorization', `Basic ${GLib.base64_encode(credentials)}`);
+        }
+        for (const [name, value] of Object.entries(headers)) {
+            requestHeaders.append(name, value);
+        }
+        if (body !== null) {
+            message.set_request_body_from_bytes('application/xml; charset=utf-8',
+                new GLib.Bytes(new TextEncoder().encode(body)));
+        }
+
+        const bytes = await new Promise((resolve, reject) => {
+            this.session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                try {
+                    resolve(session.send_and_read_finish(result));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+
+        const status = message.get_status();
+        // Soup only follows redirects for GET/HEAD; PROPFIND to /.well-known/caldav needs this
+        if ([301, 302, 307, 308].includes(status) && redirects < MAX_REDIRECTS) {
+            const location = message.get_response_headers().get_one('Location');
+            if (location) {
+                return this._request(method, this._resolveUrl(url, location), body, headers, redirects + 1);
+            }
+        }
+        if (status === 401) {
+            throw new Error(`CalDAV account "${this.account.name}" rejected the credentials`);
+        }
+
+        return {
+            status: status,
+            text: new TextDecoder('utf-8').decode(bytes.get_data())
+        };
+    }
+
+    destroy() {
+        this.session.abort();
+        this.syncState.clear();
+        this.calendars = null;
+    }
+}
@@ -2,43 +2,125 @@
 import Gio from 'gi://Gio';
 import GLib from 'gi://GLib';
 
-// Event filter for categorizing and filtering events
-export class EventFilter {
-    constructor() {
-        this.holidayPattern = /\b(holiday|christmas|thanksgiving|easter|new year|memorial day|labor day|independence day|veterans day)\b/i;
-        this.birthdayPattern = /\b(birthday|born|b-day|bday)\b/i;
-        this.anniversaryPattern = /\b(anniversary|wedding|married)\b/i;
-    }
+import { CalDAVClient, lookupCalDAVPassword } from './caldav-client.js';
+import { EDSCalendarClient } from './eds-calendar-client.js';
+import { EventFilter, DEFAULT_EVENT_RULES } from './event-filter.js';
+import { EventMerger } from './event-merge.js';
+import { ICSFeedFetcher, normalizeFeedConfig } from './ics-feeds.js';
+import { RecurrenceExpander, parseICSDateParts } from './ics-recurrence.js';
+import { TimezoneResolver, parseUTCOffset } from './ics-timezone.js';
+import {
+    parseICSComponents, findComponents, getProperty, getProperties, getParam,
+    unescapeICSText, splitICSList, parseICSDuration
+} from './ics-parser.js';
 
-    shouldExclude(event) {
-        const title = event.title || event.summary || '';
-        const description = event.description || '';
-        const text = `${title} ${description}`.toLowerCase();
-        
-        return this.holidayPattern.test(text) || 
-               this.birthdayPattern.test(text) || 
-               this.anniversaryPattern.test(text);
-    }
+// EventFilter moved to event-filter.js; re-exported for existing imports
+export { EventFilter };
 
-    categorizeEvent(event) {
-        const title = event.title || event.summary || '';
-        const description = event.description || '';
-        const text = `${title} ${description}`.toLowerCase();
-        
-        // Work-related keywords
-        const workKeywords = ['meeting', 'conference', 'call', 'standup', 'interview', 'presentation', 'deadline', 'project', 'work', 'office'];
-        const hasWorkKeyword = workKeywords.some(keyword => text.includes(keyword));
-        
-        if (hasWorkKeyword) return 'work';
-        
-        // Personal keywords
-        const personalKeywords = ['doctor', 'appointment', 'dentist', 'personal', 'family', 'dinner', 'lunch', 'gym', 'workout'];
-        const hasPersonalKeyword = personalKeywords.some(keyword => text.includes(keyword));
-        
-        if (hasPersonalKeyword) return 'personal';
-        
-        return 'general';
-    }
+// Defaults for "calendar.look_ahead_days" and "calendar.max_events"
+const DEFAULT_LOOK_AHEAD_DAYS = 30;
+const DEFAULT_MAX_EVENTS = 15;
+
+// Whether the user is expected at an event: 'busy', 'tentative', 'free', 'declined' or 'cancelled'
+export function getEventAvailability(event) {
+    return event.features?.availability || 'busy';
+}
+
+// Events that take up the user's time; declined, cancelled and free-time (TRANSP:TRANSPARENT) ones are left out
+export function getAttendedEvents(events) {
+    return events.filter(event => ['busy', 'tentative'].includes(getEventAvailability(event)));
+}
+
+// Event title with a marker for tentative or unanswered invitations
+export function formatEventTitle(event) {
+    return getEventAvailability(event) === 'tentative' ? `${event.title} (?)` : event.title;
+}
+
+// Whole local calendar days from a to b; DST-safe because only the date parts are compared
+function daysBetween(a, b) {
+    const dayMs = 24 * 60 * 60 * 1000;
+    return Math.round((Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) -
+        Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / dayMs);
+}
+
+/**
+ * Where an event stands relative to `now`: { state, isAllDay, dayNumber, totalDays,
+ * minutesUntilStart, minutesUntilEnd }. `state` is 'upcoming', 'ongoing' or 'ended';
+ * `dayNumber`/`totalDays` count the local calendar days the event covers (an all-day
+ * event's end is exclusive, so a Mon-Fri conference ends Saturday 00:00 and has 5 days).
+ */
+export function getEventTiming(event, now = new Date()) {
+    const start = new Date(event.start);
+    const end = new Date(event.end || event.start);
+    const lastDay = end > start ? new Date(end.getTime() - 1) : start;
+
+    let state = 'ongoing';
+    if (start > now) state = 'upcoming';
+    else if (end <= now) state = 'ended';
+
+    return {
+        state: state,
+        isAllDay: event.features?.isAllDay || false,
+        dayNumber: state === 'ongoing' ? daysBetween(start, now) + 1 : null,
+        totalDays: daysBetween(start, lastDay) + 1,
+        minutesUntilStart: Math.floor((start - now) / (1000 * 60)),
+        minutesUntilEnd: Math.ceil((end - now) / (1000 * 60))
+    };
+}
+
+/**
+ * Splits the attended events into { ongoing, next }: every event in progress and the
+ * first timed event still to start, each as { event, timing }. All-day events are never
+ * `next`; they have no start time worth alerting on.
+ */
+export function getCalendarSituation(events, now = new Date()) {
+    const withTiming = getAttendedEvents(events).map(event => ({ event, timing: getEventTiming(event, now) }));
+    const upcoming = withTiming
+        .filter(({ timing }) => timing.state === 'upcoming' && !timing.isAllDay)
+        .sort((a, b) => a.timing.minutesUntilStart - b.timing.minutesUntilStart);
+
+    return {
+        ongoing: withTiming.filter(({ timing }) => timing.state === 'ongoing'),
+        next: upcoming[0] || null
+    };
+}
+
+/**
+ * Groups the attended events that have not ended yet into agenda sections:
+ * [{ label, events: [{ event, timing }] }] for Today (including events still in
+ * progress), Tomorrow, This week (the next seven days) and Later. Empty sections are left out.
+ */
+export function groupAgendaEvents(events, now = new Date()) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const dayAfter = days => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
+    const sections = [
+        { label: 'Today', end: dayAfter(1), events: [] },
+        { label: 'Tomorrow', end: dayAfter(2), events: [] },
+        { label: 'This week', end: dayAfter(7), events: [] },
+        { label: 'Later', end: null, events: [] }
+    ];
+
+    getAttendedEvents(events)
+        .map(event => ({ event, timing: getEventTiming(event, now) }))
+        .filter(({ timing }) => timing.state !== 'ended')
+        .sort((a, b) => new Date(a.event.start) - new Date(b.event.start))
+        .forEach(entry => {
+            const start = new Date(entry.event.start);
+            sections.find(section => section.end === null || start < section.end).events.push(entry);
+        });
+
+    return sections
+        .filter(section => section.events.length > 0)
+        .map(section => ({ label: section.label, events: section.events }));
+}
+
+// GNOME Calendar's --uuid option takes "<source uid>:<event uid>[:<recurrence id>]"; only
+// events stored in Evolution Data Server have one, ICS files, feeds and CalDAV do not
+export function getGnomeCalendarEventId(event) {
+    const copies = [event, ...(event.sources || [])];
+    const edsCopy = copies.find(copy =>
+        ['GNOME Calendar Server', 'Evolution Data Server'].includes(copy.source) && copy.id?.includes('\n'));
+    return edsCopy ? edsCopy.id.split('\n').filter(Boolean).join(':') : null;
 }
 
 // Calendar data collector
@@ -46,7 +128,32 @@ export class CalendarDataCollector {
     constructor() {
         this.cache = new Map();
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.lookAheadDays = DEFAULT_LOOK_AHEAD_DAYS; // Also sets the Calendar Server time range
+        this.maxEvents = DEFAULT_MAX_EVENTS;
         this.eventFilter = new EventFilter();
+        this.eventMerger = new EventMerger();
+        this.recurrenceExpander = new RecurrenceExpander();
+        // Shared across sources: EDS calendars reference zones defined elsewhere
+        this.timezoneResolver = new TimezoneResolver();
+        this.edsClient = null;
+        
+        // Live change notifications
+        this.changeCallbacks = [];
+        this.changeTimeoutId = null;
+        this.calendarServerWatch = null; // { proxy, signalIds, events: Map(id -> signature) }
+        this.fileMonitors = new Map(); // ICS path -> Gio.FileMonitor
+        
+        // Remote ICS/webcal subscriptions
+        this.feedFetcher = null;
+        this.feedRefreshTimeoutId = null;
+        
+        this.caldavClients = new Map(); // account name -> CalDAVClient (keeps sync state)
+    }
+
+    // Registers a callback that runs after calendar data changes; the cache is already invalidated
+    onChanged(callback) {
+        this.changeCallbacks.push(callback);
+        this._watchCalendarServer();
     }
 
     async getCalendarEvents() {
@@ -61,6 +168,10 @@ export class CalendarDataCollector {
 
         try {
             console.log('At A Glance: Starting calendar data collection...');
+            const config = this._loadCalendarConfig();
+            this.lookAheadDays = Math.max(1, config.look_ahead_days || DEFAULT_LOOK_AHEAD_DAYS);
+            this.maxEvents = Math.max(1, config.max_events || DEFAULT_MAX_EVENTS);
+            
             const events = await this._collectCalendarData();
             console.log(`At A Glance: Collected ${events.length} raw events`);
             
@@ -70,6 +181,8 @@ export class CalendarDataCollector {
                 console.log(`At A Glance: RAW EVENT: "${event.title}" | ${event.start} | ${event.source}`);
             }
             
+            this._applyAvailability(events);
+            this.eventFilter.setRules(this._getEventRules());
             const filteredEvents = this._filterAndProcessEvents(events);
             console.log(`At A Glance: Filtered to ${filteredEvents.length} events`);
             
@@ -104,18 +217,43 @@ export class CalendarDataCollector {
             console.log('At A Glance: Calendar Server integration failed:', error);
         }
         
-        // Method 2: SQLite fallback (if Calendar Server fails)
-        if (events.length === 0) {
-            try {
-                console.log('At A Glance: Falling back to SQLite method...');
-                const sqliteEvents = await this._readGnomeCalendarData();
-                events.push(...sqliteEvents);
-            } catch (error) {
-                console.log('At A Glance: SQLite fallback failed:', error);
-            }
+        // Method 2: Evolution Data Server directly (always merged). The Calendar Server
+        // leaves out attendees, status and transparency, so its events take those from
+        // their EDS copies (same UID and RECURRENCE-ID) when the two are merged below
+        try {
+            console.log('At A Glance: Reading Evolution Data Server...');
+            const edsEvents = await this._readEDSCalendarData();
+            events.push(...edsEvents);
+        } catch (error) {
+            console.log('At A Glance: Evolution Data Server failed:', error);
         }
         
-        return events;
+        // Method 3: Local ICS files from config (always merged)
+        try {
+            const fileEvents = await this._readLocalICSFiles();
+            events.push(...fileEvents);
+        } catch (error) {
+            console.log('At A Glance: Local ICS files failed:', error);
+        }
+        
+        // Method 4: Remote ICS/webcal feeds from config (always merged)
+        try {
+            const feedEvents = await this._readICSFeeds();
+            events.push(...feedEvents);
+        } catch (error) {
+            console.log('At A Glance: ICS feeds failed:', error);
+        }
+        
+        // Method 5: CalDAV accounts from config (always merged)
+        try {
+            const caldavEvents = await this._readCalDAVData();
+            events.push(...caldavEvents);
+        } catch (error) {
+            console.log('At A Glance: CalDAV failed:', error);
+        }
+        
+        // The same event can come from several of the methods above
+        return this.eventMerger.merge(events);
     }
 
     async _readCalendarServerData() {
@@ -146,9 +284,9 @@ export class CalendarDataCollector {
                 const hasCalendars = proxy.get_cached_property('HasCalendars');
                 console.log(`At A Glance: Calendar Server HasCalendars: ${hasCalendars ? hasCalendars.unpack() : 'unknown'}`);
                 
-                // Set up time range (next 30 days)
+                // Set up time range (look-ahead window)
                 const now = Math.floor(Date.now() / 1000); // Unix timestamp in seconds
-                const thirtyDaysLater = now + (30 * 24 * 60 * 60);
+                const thirtyDaysLater = now + (this.lookAheadDays * 24 * 60 * 60);
                 
                 console.log(`At A Glance: Setting time range from ${now} to ${thirtyDaysLater}`);
                 
@@ -222,6 +360,10 @@ export class CalendarDataCollector {
             const end = new Date(endTime * 1000);
             const now = new Date();
             
+            // Event ids are "<source uid>\n<event uid>\n<recurrence id>"
+            const [, eventUid, rid] = (uid || '').split('\n');
+            const recurrenceId = rid ? this._parseCalendarServerRecurrenceId(rid) : null;
+            
             // Extract additional properties
             const description = properties.description ? properties.description.unpack() : '';
             const location = properties.location ? properties.location.unpack() : null;
@@ -230,19 +372,24 @@ export class CalendarDataCollector {
             // Create processed event object
             const event = {
                 id: uid || `calendar_server_${Date.now()}`,
+                uid: eventUid || null,
+                recurrenceId: recurrenceId,
                 title: summary,
                 description: description,
                 start: start.toISOString(),
                 end: end.toISOString(),
                 location: location,
+                // Not passed on by the Calendar Server; filled in from the EDS copy
+                organizer: null,
+                attendees: [],
+                categories: [],
+                status: null,
+                transparency: null,
                 source: 'GNOME Calendar Server',
                 features: {
                     isAllDay: isAllDay,
                     hasAttendees: false,
-                    categories: [this.eventFilter.categorizeEvent({
-                        title: summary,
-                        description: description
-                    })],
+                    categories: [], // Assigned by the event rules once all sources are merged
                     timeFeatures: {
                         isToday: this._isSameDay(start, now),
                         isTomorrow: this._isTomorrow(start, now),
@@ -262,225 +409,618 @@ export class CalendarDataCollector {
         }
     }
 
-    async _readEvolutionICS() {
-        const events = [];
-        const homeDir = GLib.get_home_dir();
-        const calendarPath = `${homeDir}/.local/share/evolution/calendar/system/calendar.ics`;
-        
+    // Recurrence ids come as ICS date values; times without a zone are read as local time
+    _parseCalendarServerRecurrenceId(rid) {
         try {
-            const file = Gio.File.new_for_path(calendarPath);
-            if (!file.query_exists(null)) {
-                console.log('At A Glance: Evolution calendar file not found');
-                return events;
-            }
-            
-            const [success, contents] = file.load_contents(null);
-            if (!success) {
-                console.log('At A Glance: Could not read Evolution calendar file');
-                return events;
-            }
-            
-            const icsContent = new TextDecoder().decode(contents);
-            const parsedEvents = this._parseICSContent(icsContent);
-            events.push(...parsedEvents);
-            
-            console.log(`At A Glance: Found ${parsedEvents.length} events in Evolution calendar`);
+            const parts = parseICSDateParts(rid);
+            return parts ? this.timezoneResolver.resolve(parts, null).toISOString() : null;
         } catch (error) {
-            console.log('At A Glance: Error reading Evolution calendar:', error);
+            return null;
         }
-        
-        return events;
     }
 
-    async _readGnomeCalendarData() {
-        const events = [];
-        const homeDir = GLib.get_home_dir();
-        
-        // Try to read from Evolution sources configuration
-        const sourcesDir = `${homeDir}/.config/evolution/sources`;
+    // Addresses that identify the user among attendees: calendar.my_emails plus CalDAV logins
+    _getMyEmails() {
+        const config = this._loadCalendarConfig();
+        const emails = [
+            ...(Array.isArray(config.my_emails) ? config.my_emails : []),
+            ...(config.caldav_accounts || []).map(account => account?.username)
+        ];
+        return new Set(emails
+            .filter(email => typeof email === 'string' && email.includes('@'))
+            .map(email => email.trim().toLowerCase()));
+    }
+
+    _applyAvailability(events) {
+        const myEmails = this._getMyEmails();
         
-        try {
-            const sourcesDirectory = Gio.File.new_for_path(sourcesDir);
-            if (!sourcesDirectory.query_exists(null)) {
-                console.log('At A Glance: Evolution sources directory not found');
-                return events;
-            }
+        for (const event of events) {
+            const me = (event.attendees || []).find(attendee => attendee.email && myEmails.has(attendee.email.toLowerCase()));
+            const isOrganizer = event.organizer?.email && myEmails.has(event.organizer.email.toLowerCase());
+            event.myPartstat = me ? me.partstat : isOrganizer ? 'ACCEPTED' : null;
             
-            const enumerator = sourcesDirectory.enumerate_children('standard::name,standard::type', Gio.FileQueryInfoFlags.NONE, null);
-            let info;
+            let availability = 'busy';
+            if (event.status === 'CANCELLED') {
+                availability = 'cancelled';
+            } else if (event.myPartstat === 'DECLINED') {
+                availability = 'declined';
+            } else if (event.transparency === 'TRANSPARENT') {
+                availability = 'free';
+            } else if (event.status === 'TENTATIVE' || event.myPartstat === 'TENTATIVE' || event.myPartstat === 'NEEDS-ACTION') {
+                availability = 'tentative';
+            }
+            event.features.availability = availability;
+        }
+    }
+
+    // User rules run before the built-in ones, so they can override them
+    _getEventRules() {
+        const config = this._loadCalendarConfig();
+        const userRules = Array.isArray(config.event_rules) ? config.event_rules : [];
+        return config.default_event_rules === false ? userRules : [...userRules, ...DEFAULT_EVENT_RULES];
+    }
+
+    _loadCalendarConfig() {
+        try {
+            const configPath = GLib.get_home_dir() + '/.config/at-a-glance/config.json';
+            const configFile = Gio.File.new_for_path(configPath);
             
-            while ((info = enumerator.next_file(null)) !== null) {
-                const fileName = info.get_name();
-                if (fileName.endsWith('.source')) {
-                    const sourceEvents = await this._readSourceFile(sourcesDir, fileName);
-                    events.push(...sourceEvents);
+            if (configFile.query_exists(null)) {
+                const [success, contents] = configFile.load_contents(null);
+                if (success) {
+                    const config = JSON.parse(new TextDecoder().decode(contents));
+                    return config.calendar || {};
                 }
             }
         } catch (error) {
-            console.log('At A Glance: Error reading Evolution sources:', error);
+            console.log('At A Glance: Could not load calendar config:', error);
         }
         
-        return events;
+        return {};
     }
 
-    async _readSourceFile(sourcesDir, fileName) {
+    async _readLocalICSFiles() {
         const events = [];
+        const paths = (this._loadCalendarConfig().ics_files || [])
+            .map(path => path.replace(/^~(?=\/)/, GLib.get_home_dir()));
         
-        try {
-            const sourceFile = Gio.File.new_for_path(`${sourcesDir}/${fileName}`);
-            const [success, contents] = sourceFile.load_contents(null);
+        for (const path of paths) {
+            // Watch before reading so a file that appears later is picked up too
+            this._watchICSFile(path);
             
-            if (success) {
-                const sourceContent = new TextDecoder().decode(contents);
+            try {
+                const file = Gio.File.new_for_path(path);
+                if (!file.query_exists(null)) {
+                    console.log(`At A Glance: ICS file not found: ${path}`);
+                    continue;
+                }
                 
-                // Check if this is a calendar source
-                if (sourceContent.includes('[Calendar]') && sourceContent.includes('Enabled=true')) {
-                    console.log(`At A Glance: Found calendar source: ${fileName}`);
-                    
-                    // Try to find corresponding calendar data
-                    const sourceEvents = await this._findCalendarDataForSource(fileName);
-                    events.push(...sourceEvents);
+                const [success, contents] = file.load_contents(null);
+                if (!success) continue;
+                
+                const parsedEvents = this._parseICSContent(new TextDecoder().decode(contents));
+                for (const event of parsedEvents) {
+                    event.source = 'ICS File';
+                    event.calendarName = file.get_basename();
                 }
+                events.push(...parsedEvents);
+                console.log(`At A Glance: Parsed ${parsedEvents.length} events from ${path}`);
+            } catch (error) {
+                console.log(`At A Glance: Error reading ICS file ${path}:`, error);
             }
-        } catch (error) {
-            console.log(`At A Glance: Error reading source ${fileName}:`, error);
         }
         
         return events;
     }
 
-    async _findCalendarDataForSource(sourceFileName) {
+    async _readICSFeeds() {
         const events = [];
-        const homeDir = GLib.get_home_dir();
+        const feeds = normalizeFeedConfig(this._loadCalendarConfig().ics_feeds);
         
-        // Remove .source extension to get the source ID
-        const sourceId = sourceFileName.replace('.source', '');
+        if (feeds.length === 0) return events;
+        if (!this.feedFetcher) {
+            this.feedFetcher = new ICSFeedFetcher();
+        }
+        this.feedFetcher.prune(feeds);
         
-        // Try multiple potential locations for calendar data
-        const possiblePaths = [
-            `${homeDir}/.local/share/evolution/calendar/${sourceId}/calendar.ics`,
-            `${homeDir}/.cache/evolution/calendar/${sourceId}/cache.db`,
-            `${homeDir}/.local/share/evolution/calendar/${sourceId}.ics`
-        ];
+        const results = await Promise.all(feeds.map(feed => this.feedFetcher.fetch(feed)));
+        feeds.forEach((feed, index) => {
+            const { content } = results[index];
+            if (!content) return;
+            
+            const parsedEvents = this._parseICSContent(content);
+            for (const event of parsedEvents) {
+                event.source = 'ICS Feed';
+                event.calendarName = feed.name;
+                event.calendarColor = feed.color;
+                if (feed.category) {
+                    event.features.categories = [feed.category];
+                }
+            }
+            events.push(...parsedEvents);
+            console.log(`At A Glance: Parsed ${parsedEvents.length} events from ICS feed "${feed.name}"`);
+        });
         
-        // Also check all cache directories for any calendar data
-        try {
-            const cacheDir = `${homeDir}/.cache/evolution/calendar`;
-            const cacheDirectory = Gio.File.new_for_path(cacheDir);
-            if (cacheDirectory.query_exists(null)) {
-                const enumerator = cacheDirectory.enumerate_children('standard::name,standard::type', Gio.FileQueryInfoFlags.NONE, null);
-                let info;
-                while ((info = enumerator.next_file(null)) !== null) {
-                    const dirName = info.get_name();
-                    if (info.get_file_type() === Gio.FileType.DIRECTORY && dirName !== 'trash') {
-                        possiblePaths.push(`${cacheDir}/${dirName}/cache.db`);
-                    }
+        this._scheduleFeedRefresh(feeds);
+        return events;
+    }
+
+    // Feeds may refresh more often than the collection cache expires, so each gets its own timer
+    _scheduleFeedRefresh(feeds) {
+        if (this.feedRefreshTimeoutId) {
+            GLib.source_remove(this.feedRefreshTimeoutId);
+            this.feedRefreshTimeoutId = null;
+        }
+        if (this.changeCallbacks.length === 0) return;
+        
+        const delay = Math.min(...feeds.map(feed => this.feedFetcher.getTimeUntilRefresh(feed)));
+        const seconds = Math.max(60, Math.ceil(delay / 1000));
+        
+        this.feedRefreshTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, seconds, () => {
+            this.feedRefreshTimeoutId = null;
+            const dueFeeds = feeds.filter(feed => this.feedFetcher.getTimeUntilRefresh(feed) === 0);
+            
+            Promise.all(dueFeeds.map(feed => this.feedFetcher.fetch(feed))).then(results => {
+                if (!this.feedFetcher) return; // Destroyed while fetching
+                
+                const changed = dueFeeds.filter((feed, index) => results[index].changed);
+                if (changed.length > 0) {
+                    this._notifyChanged(`ICS feed updated: ${changed.map(feed => feed.name).join(', ')}`);
+                } else {
+                    this._scheduleFeedRefresh(feeds);
                 }
+            });
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    async _readCalDAVData() {
+        const events = [];
+        const accounts = (this._loadCalendarConfig().caldav_accounts || [])
+            .filter(account => account && account.name && account.url);
+        const window = this._getLookAheadWindow();
+        
+        // Drop clients for accounts removed or changed in config
+        for (const [name, client] of [...this.caldavClients]) {
+            const account = accounts.find(candidate => candidate.name === name);
+            if (!account || account.url !== client.account.url || account.username !== client.account.username) {
+                client.destroy();
+                this.caldavClients.delete(name);
             }
-        } catch (error) {
-            console.log('At A Glance: Error scanning cache directories:', error);
         }
         
-        for (const path of possiblePaths) {
+        const results = await Promise.all(accounts.map(async account => {
             try {
-                const file = Gio.File.new_for_path(path);
-                if (file.query_exists(null)) {
-                    console.log(`At A Glance: Found calendar data at: ${path}`);
-                    
-                    if (path.endsWith('.ics')) {
-                        const [success, contents] = file.load_contents(null);
-                        if (success) {
-                            const icsContent = new TextDecoder().decode(contents);
-                            const parsedEvents = this._parseICSContent(icsContent);
-                            events.push(...parsedEvents);
-                            console.log(`At A Glance: Parsed ${parsedEvents.length} events from ${path}`);
-                        }
-                    } else if (path.endsWith('cache.db')) {
-                        // Try to read SQLite database using subprocess
-                        const dbEvents = await this._readSQLiteCalendarCache(path);
-                        events.push(...dbEvents);
-                        console.log(`At A Glance: Found ${dbEvents.length} events in SQLite cache ${path}`);
-                    }
+                let client = this.caldavClients.get(account.name);
+                if (!client) {
+                    // Keyring first, a plain config password only as a fallback
+                    const password = await lookupCalDAVPassword(account.name) || account.password || null;
+                    client = new CalDAVClient({ ...account, password });
+                    this.caldavClients.set(account.name, client);
                 }
+                return { account, calendars: await client.getEventComponents(window.start, window.end) };
             } catch (error) {
-                console.log(`At A Glance: Error reading ${path}:`, error);
+                console.log(`At A Glance: CalDAV account "${account.name}" failed:`, error);
+                // Start over next time, re-reading credentials the user may have fixed
+                this.caldavClients.get(account.name)?.destroy();
+                this.caldavClients.delete(account.name);
+                return { account, calendars: [] };
+            }
+        }));
+        
+        for (const { account, calendars } of results) {
+            for (const calendar of calendars) {
+                const parsedEvents = this._parseICSContent(calendar.icsContent);
+                for (const event of parsedEvents) {
+                    event.source = 'CalDAV';
+                    event.calendarName = calendar.calendarName;
+                    event.calendarColor = account.color || calendar.color;
+                }
+                events.push(...parsedEvents);
+                console.log(`At A Glance: Parsed ${parsedEvents.length} events from CalDAV calendar "${calendar.calendarName}"`);
             }
         }
         
         return events;
     }
 
-    _parseICSContent(icsContent) {
+    async _readEDSCalendarData() {
         const events = [];
-        const lines = icsContent.split('\n');
-        let currentEvent = null;
+        const window = this._getLookAheadWindow();
         
-        console.log(`At A Glance: Parsing ICS content with ${lines.length} lines`);
+        if (!this.edsClient) {
+            this.edsClient = new EDSCalendarClient();
+        }
+        
+        const calendars = await this.edsClient.getEventComponents(window.start, window.end);
+        for (const calendar of calendars) {
+            const parsedEvents = this._parseICSContent(calendar.icsContent);
+            for (const event of parsedEvents) {
+                // Same "<source uid>\n<event uid>\n<recurrence id>" shape as Calendar Server ids
+                const rid = event.recurrenceId ? event.recurrenceId.replace(/[-:]/g, '').replace(/\.\d{3}/, '') : '';
+                event.id = `${calendar.sourceUid}\n${event.uid}\n${rid}`;
+                event.source = 'Evolution Data Server';
+                event.calendarName = calendar.calendarName;
+                event.calendarColor = calendar.color;
+            }
+            events.push(...parsedEvents);
+            console.log(`At A Glance: Parsed ${parsedEvents.length} events from EDS calendar "${calendar.calendarName}"`);
+        }
+        
+        // Views are tied to the query window, so they are re-created when the window moves
+        if (this.changeCallbacks.length > 0 && !this.edsClient.isWatching(window.start, window.end)) {
+            this.edsClient.watch(window.start, window.end, reason => this._notifyChanged(reason))
+                .catch(error => console.log('At A Glance: Could not watch EDS for changes:', error));
+        }
         
-        for (let line of lines) {
-            line = line.trim();
+        return events;
+    }
+
+    _watchCalendarServer() {
+        if (this.calendarServerWatch) return;
+        
+        try {
+            const proxy = Gio.DBusProxy.new_for_bus_sync(
+                Gio.BusType.SESSION,
+                Gio.DBusProxyFlags.NONE,
+                null,
+                'org.gnome.Shell.CalendarServer',
+                '/org/gnome/Shell/CalendarServer',
+                'org.gnome.Shell.CalendarServer',
+                null
+            );
             
-            if (line === 'BEGIN:VEVENT') {
-                currentEvent = {};
-                console.log('At A Glance: Found BEGIN:VEVENT');
-            } else if (line === 'END:VEVENT' && currentEvent) {
-                console.log(`At A Glance: Found END:VEVENT - summary: ${currentEvent.summary}, dtstart: ${currentEvent.dtstart}`);
-                if (currentEvent.summary && currentEvent.dtstart) {
-                    events.push(this._processICSEvent(currentEvent));
-                    console.log(`At A Glance: Successfully processed event: ${currentEvent.summary}`);
-                } else {
-                    console.log(`At A Glance: Skipping event - missing summary or dtstart`);
+            // The server re-sends unchanged events whenever any client sets a time range
+            // (including our own reads), so only differing signatures count as changes
+            const watch = { proxy, signalIds: [], events: new Map() };
+            
+            watch.signalIds.push(proxy.connectSignal('EventsAddedOrUpdated', (proxy, sender, [eventArray]) => {
+                const window = this._getLookAheadWindow();
+                let changed = false;
+                
+                for (const eventData of eventArray) {
+                    const event = this._processCalendarServerEvent(eventData);
+                    if (!event || new Date(event.end) < window.start || new Date(event.start) > window.end) continue;
+                    
+                    const signature = `${event.title}|${event.start}|${event.end}|${event.location}`;
+                    if (watch.events.get(event.id) !== signature) {
+                        watch.events.set(event.id, signature);
+                        changed = true;
+                    }
                 }
-                currentEvent = null;
-            } else if (currentEvent && line.includes(':')) {
-                const [keyPart, ...valueParts] = line.split(':');
-                const value = valueParts.join(':');
-                // Handle ICS properties with parameters like "DTSTART;VALUE=DATE"
-                const key = keyPart.split(';')[0];
                 
-                switch (key) {
-                    case 'SUMMARY':
-                        currentEvent.summary = value;
-                        break;
-                    case 'DESCRIPTION':
-                        currentEvent.description = value;
-                        break;
-                    case 'DTSTART':
-                        currentEvent.dtstart = value;
-                        break;
-                    case 'DTEND':
-                        currentEvent.dtend = value;
-                        break;
-                    case 'LOCATION':
-                        currentEvent.location = value;
-                        break;
-                    case 'UID':
-                        currentEvent.uid = value;
-                        break;
+                // Events arriving during the very first read are not changes yet
+                if (changed && this.cache.has('calendar_events')) {
+                    this._notifyChanged('Calendar Server events added or updated');
+                }
+            }));
+            
+            watch.signalIds.push(proxy.connectSignal('EventsRemoved', (proxy, sender, [ids]) => {
+                const removed = ids.filter(id => watch.events.delete(id));
+                if (removed.length > 0) {
+                    this._notifyChanged(`Calendar Server removed ${removed.length} events`);
+                }
+            }));
+            
+            watch.signalIds.push(proxy.connectSignal('ClientDisappeared', () => {
+                watch.events.clear();
+                this._notifyChanged('Calendar Server client disappeared');
+            }));
+            
+            this.calendarServerWatch = watch;
+            console.log('At A Glance: Watching Calendar Server for changes');
+        } catch (error) {
+            console.log('At A Glance: Could not watch Calendar Server for changes:', error);
+        }
+    }
+
+    _watchICSFile(path) {
+        if (this.fileMonitors.has(path) || this.changeCallbacks.length === 0) return;
+        
+        try {
+            const monitor = Gio.File.new_for_path(path).monitor_file(Gio.FileMonitorFlags.NONE, null);
+            monitor.connect('changed', (monitor, file, otherFile, eventType) => {
+                // Editors and sync tools write several chunks; wait for the final hint
+                if (eventType === Gio.FileMonitorEvent.CHANGES_DONE_HINT ||
+                    eventType === Gio.FileMonitorEvent.CREATED ||
+                    eventType === Gio.FileMonitorEvent.DELETED) {
+                    this._notifyChanged(`ICS file changed: ${path}`);
+                }
+            });
+            this.fileMonitors.set(path, monitor);
+        } catch (error) {
+            console.log(`At A Glance: Could not monitor ICS file ${path}:`, error);
+        }
+    }
+
+    _notifyChanged(reason) {
+        console.log(`At A Glance: Calendar changed (${reason}), invalidating cache`);
+        this.cache.delete('calendar_events');
+        
+        // Coalesce bursts, such as a sync touching many events, into one update
+        if (this.changeTimeoutId) return;
+        this.changeTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 1000, () => {
+            this.changeTimeoutId = null;
+            for (const callback of this.changeCallbacks) {
+                try {
+                    callback();
+                } catch (error) {
+                    console.log('At A Glance: Calendar change callback failed:', error);
                 }
             }
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    _parseICSContent(icsContent) {
+        const calendar = parseICSComponents(icsContent);
+        const rawEvents = [];
+        
+        console.log(`At A Glance: Parsing ICS content with ${calendar.components.length} top-level components`);
+        
+        // Time zones first, so events can refer to them regardless of their order in the file
+        for (const component of findComponents(calendar, 'VTIMEZONE')) {
+            this._registerTimezone(component);
         }
         
+        for (const component of findComponents(calendar, 'VEVENT')) {
+            const rawEvent = this._readVEvent(component);
+            console.log(`At A Glance: Found VEVENT - summary: ${rawEvent.summary}, dtstart: ${rawEvent.dtstart}`);
+            if (rawEvent.summary && rawEvent.dtstart) {
+                rawEvents.push(rawEvent);
+            } else {
+                console.log(`At A Glance: Skipping event - missing summary or dtstart`);
+            }
+        }
+        
+        const events = this._expandRecurringEvents(rawEvents);
         console.log(`At A Glance: Parsed ${events.length} events from ICS content`);
         return events;
     }
 
-    _processICSEvent(icsEvent) {
-        const startTime = this._parseICSDateTime(icsEvent.dtstart);
-        const endTime = this._parseICSDateTime(icsEvent.dtend || icsEvent.dtstart);
+    _readVEvent(component) {
+        const text = (name) => {
+            const property = getProperty(component, name);
+            return property ? unescapeICSText(property.value) : undefined;
+        };
+        const dateValue = (name) => {
+            const property = getProperty(component, name);
+            return property ? { value: property.value, tzid: getParam(property, 'TZID') } : {};
+        };
+        const dateList = (name) => getProperties(component, name).flatMap(property =>
+            property.value.split(',').map(value => ({ value: value, tzid: getParam(property, 'TZID') })));
+        
+        const dtstart = dateValue('DTSTART');
+        const dtend = dateValue('DTEND');
+        const recurrenceId = dateValue('RECURRENCE-ID');
+        const organizer = getProperty(component, 'ORGANIZER');
+        const status = getProperty(component, 'STATUS');
+        const transp = getProperty(component, 'TRANSP');
+        const duration = getProperty(component, 'DURATION');
+        
+        return {
+            uid: text('UID'),
+            summary: text('SUMMARY'),
+            description: text('DESCRIPTION'),
+            location: text('LOCATION'),
+            dtstart: dtstart.value,
+            dtstartTzid: dtstart.tzid,
+            dtend: dtend.value,
+            dtendTzid: dtend.tzid,
+            duration: duration ? parseICSDuration(duration.value) : null,
+            recurrenceId: recurrenceId.value,
+            recurrenceIdTzid: recurrenceId.tzid,
+            rrules: getProperties(component, 'RRULE').map(property => property.value),
+            rdates: dateList('RDATE'),
+            exdates: dateList('EXDATE'),
+            organizer: organizer ? this._readCalendarAddress(organizer) : null,
+            attendees: getProperties(component, 'ATTENDEE').map(property => ({
+                ...this._readCalendarAddress(property),
+                partstat: (getParam(property, 'PARTSTAT') || 'NEEDS-ACTION').toUpperCase(),
+                role: (getParam(property, 'ROLE') || 'REQ-PARTICIPANT').toUpperCase(),
+                rsvp: (getParam(property, 'RSVP') || '').toUpperCase() === 'TRUE'
+            })),
+            categories: getProperties(component, 'CATEGORIES')
+                .flatMap(property => splitICSList(property.value))
+                .map(category => unescapeICSText(category).trim())
+                .filter(category => category.length > 0),
+            status: status ? status.value.toUpperCase() : null,
+            transp: transp ? transp.value.toUpperCase() : 'OPAQUE'
+        };
+    }
+
+    _readCalendarAddress(property) {
+        const email = property.value.replace(/^mailto:/i, '').trim();
+        return {
+            name: getParam(property, 'CN') || email,
+            email: email
+        };
+    }
+
+    _registerTimezone(component) {
+        const tzidProperty = getProperty(component, 'TZID');
+        if (!tzidProperty) return;
+        
+        const observances = component.components
+            .filter(child => child.name === 'STANDARD' || child.name === 'DAYLIGHT')
+            .map(child => this._processObservance(child))
+            .filter(Boolean);
+        
+        this.timezoneResolver.addDefinition(unescapeICSText(tzidProperty.value), observances);
+    }
+
+    _processObservance(component) {
+        const dtstart = getProperty(component, 'DTSTART');
+        const offsetFrom = getProperty(component, 'TZOFFSETFROM');
+        const offsetTo = getProperty(component, 'TZOFFSETTO');
+        const start = dtstart ? parseICSDateParts(dtstart.value) : null;
+        const from = offsetFrom ? parseUTCOffset(offsetFrom.value) : null;
+        const to = offsetTo ? parseUTCOffset(offsetTo.value) : null;
+        
+        if (!start || from === null || to === null) {
+            console.log(`At A Glance: Skipping incomplete ${component.name} observance`);
+            return null;
+        }
+        
+        return {
+            type: component.name,
+            start: start.wallTime,
+            offsetFrom: from,
+            offsetTo: to,
+            rrules: getProperties(component, 'RRULE')
+                .map(property => this.recurrenceExpander.parseRule(property.value))
+                .filter(Boolean),
+            rdates: getProperties(component, 'RDATE')
+                .flatMap(property => property.value.split(','))
+                .map(value => parseICSDateParts(value.split('/')[0]))
+                .filter(Boolean)
+        };
+    }
+
+    _getLookAheadWindow() {
         const now = new Date();
+        const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const end = new Date(start);
+        end.setDate(end.getDate() + this.lookAheadDays);
+        return { start, end };
+    }
+
+    _expandRecurringEvents(rawEvents) {
+        const events = [];
+        const window = this._getLookAheadWindow();
+        
+        // Overridden instances (RECURRENCE-ID) are grouped with their master by UID
+        const overridesByUid = new Map();
+        for (const rawEvent of rawEvents) {
+            if (rawEvent.recurrenceId) {
+                const overrides = overridesByUid.get(rawEvent.uid) || [];
+                overrides.push(rawEvent);
+                overridesByUid.set(rawEvent.uid, overrides);
+            }
+        }
+        
+        for (const rawEvent of rawEvents) {
+            if (rawEvent.recurrenceId) {
+                // Overrides are emitted with their own (possibly moved) start time
+                events.push(this._processICSEvent(rawEvent));
+            } else if (rawEvent.rrules.length > 0 || rawEvent.rdates.length > 0) {
+                const overrides = overridesByUid.get(rawEvent.uid) || [];
+                events.push(...this._expandRecurringEvent(rawEvent, overrides, window));
+            } else {
+                events.push(this._processICSEvent(rawEvent));
+            }
+            console.log(`At A Glance: Successfully processed event: ${rawEvent.summary}`);
+        }
+        
+        return events;
+    }
+
+    _expandRecurringEvent(icsEvent, overrides, window) {
+        const startParts = parseICSDateParts(icsEvent.dtstart);
+        if (!startParts) {
+            return [this._processICSEvent(icsEvent)];
+        }
+        
+        // The rule is evaluated on the clock of DTSTART's zone, so 09:00 stays 09:00 across DST
+        const zone = this.timezoneResolver.getZone(startParts, icsEvent.dtstartTzid);
+        const startTime = this._parseICSDateTime(icsEvent.dtstart, icsEvent.dtstartTzid);
+        const endTime = this._getICSEventEnd(icsEvent, startTime);
+        const isAllDay = startParts.isDate;
+        const duration = endTime - startTime;
+        
+        const recurrence = {
+            start: startParts.wallTime,
+            rrules: icsEvent.rrules
+                .map(rule => this.recurrenceExpander.parseRule(rule))
+                .filter(Boolean),
+            // RDATE may be a PERIOD ("start/end"); only its start matters here
+            rdates: icsEvent.rdates
+                .map(rdate => this._toZoneWallTime(rdate.value.split('/')[0], rdate.tzid, zone))
+                .filter(Boolean),
+            exdates: icsEvent.exdates
+                .map(exdate => this._toZoneWallTime(exdate.value, exdate.tzid, zone))
+                .filter(Boolean)
+        };
+        
+        // Occurrences already replaced by a RECURRENCE-ID instance are skipped
+        const overridden = new Set(overrides.map(override =>
+            this._parseICSDateTime(override.recurrenceId, override.recurrenceIdTzid).getTime()));
+        
+        // Start the range one duration early so occurrences in progress are kept
+        const occurrences = this.recurrenceExpander.expand(
+            recurrence,
+            new Date(window.start.getTime() - duration),
+            window.end,
+            wallTime => this.timezoneResolver.toInstant(wallTime, zone)
+        );
+        
+        const events = [];
+        for (const wallTime of occurrences) {
+            const occurrenceStart = this.timezoneResolver.toInstant(wallTime, zone);
+            if (overridden.has(occurrenceStart.getTime())) continue;
+            
+            let occurrenceEnd;
+            if (isAllDay) {
+                // All-day spans are counted in calendar days, not hours
+                occurrenceEnd = new Date(occurrenceStart);
+                occurrenceEnd.setDate(occurrenceEnd.getDate() + Math.round(duration / (24 * 60 * 60 * 1000)));
+            } else {
+                occurrenceEnd = new Date(occurrenceStart.getTime() + duration);
+            }
+            
+            events.push(this._processICSEvent(icsEvent, {
+                start: occurrenceStart,
+                end: occurrenceEnd
+            }));
+        }
+        
+        console.log(`At A Glance: Expanded recurring event "${icsEvent.summary}" to ${events.length} occurrences`);
+        return events;
+    }
+
+    // Converts an EXDATE/RDATE value into a wall time on the clock of the series' zone
+    _toZoneWallTime(value, tzid, zone) {
+        const parts = parseICSDateParts(value);
+        if (!parts || parts.isDate) return parts;
+        if (this.timezoneResolver.getZone(parts, tzid) === zone) return parts;
+        
+        const instant = this.timezoneResolver.resolve(parts, tzid);
+        return { wallTime: this.timezoneResolver.toWallTime(instant, zone), isDate: false, isUTC: false };
+    }
+
+    _processICSEvent(icsEvent, occurrence = null) {
+        const startTime = occurrence ? occurrence.start : this._parseICSDateTime(icsEvent.dtstart, icsEvent.dtstartTzid);
+        const endTime = occurrence ? occurrence.end : this._getICSEventEnd(icsEvent, startTime);
+        const now = new Date();
+        const uid = icsEvent.uid || `event_${Date.now()}`;
+        
+        // Each occurrence of a series is identified by its original start (RECURRENCE-ID)
+        let recurrenceId = null;
+        if (occurrence) {
+            recurrenceId = startTime.toISOString();
+        } else if (icsEvent.recurrenceId) {
+            recurrenceId = this._parseICSDateTime(icsEvent.recurrenceId, icsEvent.recurrenceIdTzid).toISOString();
+        }
         
         return {
-            id: icsEvent.uid || `event_${Date.now()}`,
+            id: recurrenceId ? `${uid}_${recurrenceId}` : uid,
+            uid: uid,
+            recurrenceId: recurrenceId,
             title: icsEvent.summary,
             description: icsEvent.description || '',
             start: startTime.toISOString(),
             end: endTime.toISOString(),
             location: icsEvent.location || null,
+            organizer: icsEvent.organizer || null,
+            attendees: icsEvent.attendees || [],
+            categories: icsEvent.categories || [],
+            status: icsEvent.status || null,
+            transparency: icsEvent.transp || 'OPAQUE',
             features: {
                 isAllDay: icsEvent.dtstart.length === 8, // YYYYMMDD format for all-day
-                hasAttendees: false,
-                categories: [this.eventFilter.categorizeEvent(icsEvent)],
+                isRecurring: recurrenceId !== null,
+                hasAttendees: (icsEvent.attendees || []).length > 0,
+                categories: [], // Assigned by the event rules once all sources are merged
                 timeFeatures: {
                     isToday: this._isSameDay(startTime, now),
                     isTomorrow: this._isTomorrow(startTime, now),
@@ -493,24 +1033,37 @@ export class CalendarDataCollector {
         };
     }
 
-    _parseICSDateTime(dateTimeString) {
-        // Handle different ICS datetime formats
-        if (dateTimeString.length === 8) {
-            // YYYYMMDD format (all-day event)
-            const year = parseInt(dateTimeString.substring(0, 4));
-            const month = parseInt(dateTimeString.substring(4, 6)) - 1; // Month is 0-based
-            const day = parseInt(dateTimeString.substring(6, 8));
-            return new Date(year, month, day);
-        } else if (dateTimeString.includes('T')) {
-            // YYYYMMDDTHHMMSS format
-            const dateTime = dateTimeString.replace(/[TZ]/g, '');
-            const year = parseInt(dateTime.substring(0, 4));
-            const month = parseInt(dateTime.substring(4, 6)) - 1;
-            const day = parseInt(dateTime.substring(6, 8));
-            const hour = parseInt(dateTime.substring(8, 10));
-            const minute = parseInt(dateTime.substring(10, 12));
-            const second = parseInt(dateTime.substring(12, 14)) || 0;
-            return new Date(year, month, day, hour, minute, second);
+    _getICSEventEnd(icsEvent, startTime) {
+        if (icsEvent.dtend) {
+            return this._parseICSDateTime(icsEvent.dtend, icsEvent.dtendTzid);
+        }
+        
+        const isAllDay = icsEvent.dtstart.length === 8;
+        const dayMs = 24 * 60 * 60 * 1000;
+        if (icsEvent.duration !== null && icsEvent.duration !== undefined) {
+            if (isAllDay && icsEvent.duration % dayMs === 0) {
+                const end = new Date(startTime);
+                end.setDate(end.getDate() + icsEvent.duration / dayMs);
+                return end;
+            }
+            return new Date(startTime.getTime() + icsEvent.duration);
+        }
+        
+        // Without DTEND or DURATION an all-day event lasts one day, a timed one is instantaneous
+        if (isAllDay) {
+            const end = new Date(startTime);
+            end.setDate(end.getDate() + 1);
+            return end;
+        }
+        return startTime;
+    }
+
+    _parseICSDateTime(dateTimeString, tzid = null) {
+        // DATE values are local midnight, a trailing Z is UTC and TZID names the zone;
+        // anything else is floating time in the local zone
+        const parts = parseICSDateParts(dateTimeString);
+        if (parts) {
+            return this.timezoneResolver.resolve(parts, tzid);
         }
         
         // Fallback to current date
@@ -539,27 +1092,38 @@ export class CalendarDataCollector {
         
         return events
             .filter(event => {
-                const shouldExclude = this.eventFilter.shouldExclude(event);
-                if (!shouldExclude) {
-                    console.log(`At A Glance: KEEPING event after exclusion filter: "${event.title}" on ${event.start}`);
+                const result = this.eventFilter.evaluate(event);
+                event.features.matchedRules = { filter: result.filterRule, category: result.categoryRule };
+                
+                // Feed categories from config take precedence over rule categories
+                if (event.features.categories.length === 0) {
+                    event.features.categories = [result.category];
+                }
+                
+                if (result.excluded) {
+                    console.log(`At A Glance: Rule "${result.filterRule}" excluded "${event.title}" on ${event.start}`);
+                } else {
+                    console.log(`At A Glance: KEEPING event after rules (${result.filterRule || 'no filter rule'}, category ${event.features.categories[0]} via ${result.categoryRule || 'default'}): "${event.title}" on ${event.start}`);
                 }
-                return !shouldExclude;
+                return !result.excluded;
             })
             .filter(event => {
+                // Events that started earlier but are still running (a conference week,
+                // a meeting in progress) stay alongside everything from today on
                 const eventDate = new Date(event.start);
-                const isAfterToday = eventDate >= today;
-                if (isAfterToday) {
+                const isCurrent = eventDate >= today || new Date(event.end) > now;
+                if (isCurrent) {
                     console.log(`At A Glance: KEEPING event after date filter: "${event.title}" on ${event.start}`);
                 }
-                return isAfterToday;
+                return isCurrent;
             })
             .sort((a, b) => {
                 const dateA = new Date(a.start);
                 const dateB = new Date(b.start);
                 
-                // Prioritize today's events, then tomorrow's, then this week's
-                const isAToday = dateA >= today && dateA < tomorrow;
-                const isBToday = dateB >= today && dateB < tomorrow;
+                // Prioritize today's and ongoing events, then tomorrow's, then this week's
+                const isAToday = (dateA >= today && dateA < tomorrow) || (dateA < today && new Date(a.end) > now);
+                const isBToday = (dateB >= today && dateB < tomorrow) || (dateB < today && new Date(b.end) > now);
                 const isATomorrow = dateA >= tomorrow && dateA < new Date(tomorrow.getTime() + 24*60*60*1000);
                 const isBTomorrow = dateB >= tomorrow && dateB < new Date(tomorrow.getTime() + 24*60*60*1000);
                 
@@ -571,76 +1135,42 @@ export class CalendarDataCollector {
                 // Within same priority group, sort by time
                 return dateA - dateB;
             })
-            .slice(0, 15); // Increase limit to 15 events
-    }
-
-    async _readSQLiteCalendarCache(dbPath) {
-        const events = [];
-        
-        try {
-            console.log(`At A Glance: Attempting to read SQLite database: ${dbPath}`);
-            
-            // Use the Nix store path for sqlite3 since it's not in the system PATH
-            const sqlitePath = '/nix/store/b83kagl3d98zf8dbvh52lw4xg881bhkf-sqlite-3.48.0-bin/bin/sqlite3';
-            
-            // Check if sqlite3 exists at the Nix store path
-            const sqliteFile = Gio.File.new_for_path(sqlitePath);
-            if (!sqliteFile.query_exists(null)) {
-                console.log(`At A Glance: sqlite3 not available at ${sqlitePath}, skipping database ${dbPath}`);
-                return events;
-            }
-            
-            console.log(`At A Glance: Using sqlite3 from Nix store: ${sqlitePath}`);
-            
-            // Use sqlite3 command with separator to properly handle multi-line results
-            // Get current date to filter for upcoming events
-            const today = new Date();
-            const todayStr = today.toISOString().substring(0, 10).replace(/-/g, ''); // YYYYMMDD format
-            
-            const sqliteCommand = `${sqlitePath} "${dbPath}" "SELECT '=====EVENT_SEPARATOR=====' || ECacheOBJ || '=====EVENT_SEPARATOR=====' FROM ECacheObjects WHERE ECacheOBJ LIKE '%VEVENT%' AND (ECacheOBJ LIKE '%DTSTART%${todayStr}%' OR ECacheOBJ LIKE '%DTSTART:${todayStr}%' OR ECacheOBJ NOT LIKE '%DTSTART%2024%') ORDER BY ECacheOBJ LIMIT 25;"`;
-            console.log(`At A Glance: Running SQLite command for events from ${todayStr} onwards with separators`);
-            
-            const [success, stdout, stderr] = GLib.spawn_command_line_sync(sqliteCommand);
-            
-            if (success && stdout) {
-                const output = new TextDecoder().decode(stdout);
-                console.log(`At A Glance: Raw SQLite output length: ${output.length} characters`);
-                
-                // Split by event separators to get individual events
-                const eventBlocks = output.split('=====EVENT_SEPARATOR=====').filter(block => block.trim().length > 0);
-                console.log(`At A Glance: Found ${eventBlocks.length} event blocks from ${dbPath}`);
-                
-                for (const eventBlock of eventBlocks) {
-                    try {
-                        const icsData = eventBlock.trim();
-                        if (icsData && icsData.includes('VEVENT')) {
-                            console.log(`At A Glance: Processing event block with ${icsData.split('\n').length} lines`);
-                            const parsedEvents = this._parseICSContent(icsData);
-                            events.push(...parsedEvents);
-                            console.log(`At A Glance: Parsed ${parsedEvents.length} events from event block`);
-                            
-                            // Log each found event for debugging
-                            for (const event of parsedEvents) {
-                                console.log(`At A Glance: Found event: "${event.title}" on ${event.start} from ${event.source}`);
-                            }
-                        }
-                    } catch (error) {
-                        console.log(`At A Glance: Error parsing event block:`, error);
-                    }
-                }
-            } else {
-                const errorOutput = stderr ? new TextDecoder().decode(stderr) : 'Unknown error';
-                console.log(`At A Glance: SQLite query failed for ${dbPath}: ${errorOutput}`);
-            }
-        } catch (error) {
-            console.log(`At A Glance: Error accessing SQLite database ${dbPath}:`, error);
-        }
-        
-        return events;
+            .slice(0, this.maxEvents);
     }
 
     destroy() {
         this.cache.clear();
+        this.changeCallbacks = [];
+        if (this.changeTimeoutId) {
+            GLib.source_remove(this.changeTimeoutId);
+            this.changeTimeoutId = null;
+        }
+        if (this.calendarServerWatch) {
+            for (const signalId of this.calendarServerWatch.signalIds) {
+                this.calendarServerWatch.proxy.disconnectSignal(signalId);
+            }
+            this.calendarServerWatch = null;
+        }
+        for (const monitor of this.fileMonitors.values()) {
+            monitor.cancel();
+        }
+        this.fileMonitors.clear();
+        if (this.feedRefreshTimeoutId) {
+            GLib.source_remove(this.feedRefreshTimeoutId);
+            this.feedRefreshTimeoutId = null;
+        }
+        if (this.feedFetcher) {
+            this.feedFetcher.destroy();
+            this.feedFetcher = null;
+        }
+        for (const client of this.caldavClients.values()) {
+            client.destroy();
+        }
+        this.caldavClients.clear();
+        if (this.edsClient) {
+            this.edsClient.destroy();
+            this.edsClient = null;
+        }
     }
 }
 
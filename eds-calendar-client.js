@@ -0,0 +1,265 @@
+// eds-calendar-client.js - Evolution Data Server calendar access for GNOME At A Glance
+
+// ECal/EDataServer are loaded lazily so a missing typelib only disables this source
+let EDataServer = null;
+let ECal = null;
+
+async function loadEDSLibraries() {
+    if (ECal && EDataServer) return true;
+
+    try {
+        EDataServer = (await import('gi://EDataServer?version=1.2')).default;
+        ECal = (await import('gi://ECal?version=2.0')).default;
+        return true;
+    } catch (error) {
+        console.log('At A Glance: Evolution Data Server libraries unavailable:', error);
+        EDataServer = null;
+        ECal = null;
+        return false;
+    }
+}
+
+function toMakeTime(date) {
+    // EDS expects UTC ISO 8601 without milliseconds, e.g. 20261019T000000Z
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+export class EDSCalendarClient {
+    constructor() {
+        this.registry = null;
+        this.clients = new Map(); // source UID -> ECal.Client
+        this.connectTimeoutSeconds = 10;
+        this.views = []; // { view, signalIds } for live change notifications
+        this.registrySignalIds = [];
+        this.watchedRange = null;
+    }
+
+    /**
+     * Returns one entry per enabled calendar source with the iCalendar text of every
+     * event occurring in [rangeStart, rangeEnd), plus the VTIMEZONEs those events use.
+     */
+    async getEventComponents(rangeStart, rangeEnd) {
+        if (!(await loadEDSLibraries())) {
+            throw new Error('Evolution Data Server is not available');
+        }
+
+        const registry = await this._getRegistry();
+        const sources = registry.list_sources(EDataServer.SOURCE_EXTENSION_CALENDAR)
+            .filter(source => registry.check_enabled(source));
+
+        console.log(`At A Glance: EDS has ${sources.length} enabled calendar sources`);
+
+        const results = await Promise.all(sources.map(async source => {
+            try {
+                const client = await this._getClient(source);
+                const components = await this._queryTimeRange(client, rangeStart, rangeEnd);
+                const timezones = await this._getTimezones(client, components);
+                const calendarExtension = source.get_extension(EDataServer.SOURCE_EXTENSION_CALENDAR);
+
+                console.log(`At A Glance: EDS source "${source.get_display_name()}" returned ${components.length} components`);
+
+                return {
+                    sourceUid: source.get_uid(),
+                    calendarName: source.get_display_name(),
+                    color: calendarExtension ? calendarExtension.get_color() : null,
+                    icsContent: [
+                        'BEGIN:VCALENDAR',
+                        ...timezones,
+                        ...components.map(component => component.as_ical_string()),
+                        'END:VCALENDAR'
+                    ].join('\r\n')
+                };
+            } catch (error) {
+                console.log(`At A Glance: EDS query failed for "${source.get_display_name()}":`, error);
+                return null;
+            }
+        }));
+
+        return results.filter(Boolean);
+    }
+
+    _getRegistry() {
+        if (this.registry) return Promise.resolve(this.registry);
+
+        return new Promise((resolve, reject) => {
+            EDataServer.SourceRegistry.new(null, (source, result) => {
+                try {
+                    this.registry = EDataServer.SourceRegistry.new_finish(result);
+                    resolve(this.registry);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    _getClient(source) {
+        const uid = source.get_uid();
+        if (this.clients.has(uid)) return Promise.resolve(this.clients.get(uid));
+
+        return new Promise((resolve, reject) => {
+            ECal.Client.connect(source, ECal.ClientSourceType.EVENTS, this.connectTimeoutSeconds, null, (object, result) => {
+                try {
+                    const client = ECal.Client.connect_finish(result);
+                    this.clients.set(uid, client);
+                    resolve(client);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Calls onChange whenever an event in [rangeStart, rangeEnd) is added, modified or
+     * removed in any enabled source, or when calendar sources themselves change.
+     * Replaces any previous watch, so callers re-watch when their window moves.
+     */
+    async watch(rangeStart, rangeEnd, onChange) {
+        this.unwatch();
+
+        if (!(await loadEDSLibraries())) return;
+
+        const registry = await this._getRegistry();
+        for (const signal of ['source-added', 'source-removed', 'source-enabled', 'source-disabled', 'source-changed']) {
+            this.registrySignalIds.push(registry.connect(signal, (registry, source) => {
+                if (source.has_extension(EDataServer.SOURCE_EXTENSION_CALENDAR)) {
+                    // Views only cover the sources that existed when they were created
+                    this.watchedRange = null;
+                    onChange(`EDS ${signal}: ${source.get_display_name()}`);
+                }
+            }));
+        }
+
+        const query = this._buildTimeRangeQuery(rangeStart, rangeEnd);
+        const sources = registry.list_sources(EDataServer.SOURCE_EXTENSION_CALENDAR)
+            .filter(source => registry.check_enabled(source));
+
+        for (const source of sources) {
+            try {
+                const client = await this._getClient(source);
+                const view = await this._getView(client, query);
+                const name = source.get_display_name();
+
+                // A started view first reports every matching object; only later reports are changes
+                let complete = false;
+                const signalIds = [
+                    view.connect('complete', () => {
+                        complete = true;
+                    }),
+                    ...['objects-added', 'objects-modified', 'objects-removed'].map(signal =>
+                        view.connect(signal, () => {
+                            if (complete) onChange(`EDS ${signal} in "${name}"`);
+                        }))
+                ];
+
+                view.start();
+                this.views.push({ view, signalIds });
+            } catch (error) {
+                console.log(`At A Glance: Could not watch EDS source "${source.get_display_name()}":`, error);
+            }
+        }
+
+        this.watchedRange = `${rangeStart.getTime()}/${rangeEnd.getTime()}`;
+        console.log(`At A Glance: Watching ${this.views.length} EDS calendar views for changes`);
+    }
+
+    isWatching(rangeStart, rangeEnd) {
+        return this.watchedRange === `${rangeStart.getTime()}/${rangeEnd.getTime()}`;
+    }
+
+    unwatch() {
+        for (const { view, signalIds } of this.views) {
+            for (const signalId of signalIds) {
+                view.disconnect(signalId);
+            }
+            try {
+                view.stop();
+            } catch (error) {
+                console.log('At A Glance: Error stopping EDS view:', error);
+            }
+        }
+        this.views = [];
+
+        if (this.registry) {
+            for (const signalId of this.registrySignalIds) {
+                this.registry.disconnect(signalId);
+            }
+        }
+        this.registrySignalIds = [];
+        this.watchedRange = null;
+    }
+
+    _getView(client, query) {
+        return new Promise((resolve, reject) => {
+            client.get_view(query, null, (object, result) => {
+                try {
+                    const [success, view] = client.get_view_finish(result);
+                    if (!success || !view) throw new Error('EDS returned no view');
+                    resolve(view);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    _buildTimeRangeQuery(rangeStart, rangeEnd) {
+        return `(occur-in-time-range? (make-time "${toMakeTime(rangeStart)}") (make-time "${toMakeTime(rangeEnd)}"))`;
+    }
+
+    async _queryTimeRange(client, rangeStart, rangeEnd) {
+        const query = this._buildTimeRangeQuery(rangeStart, rangeEnd);
+
+        try {
+            return await this._getObjectList(client, query);
+        } catch (error) {
+            // Some backends reject time-range queries; the collector filters by date itself
+            console.log('At A Glance: EDS time-range query failed, falling back to "#t":', error);
+            return this._getObjectList(client, '#t');
+        }
+    }
+
+    _getObjectList(client, query) {
+        return new Promise((resolve, reject) => {
+            client.get_object_list(query, null, (object, result) => {
+                try {
+                    const [success, components] = client.get_object_list_finish(result);
+                    resolve(success ? components : []);
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    async _getTimezones(client, components) {
+        const tzids = new Set();
+        for (const component of components) {
+            for (const match of component.as_ical_string().matchAll(/;TZID="?([^":;]+)"?[:;]/g)) {
+                tzids.add(match[1]);
+            }
+        }
+
+        const timezones = await Promise.all([...tzids].map(tzid => new Promise(resolve => {
+            client.get_timezone(tzid, null, (object, result) => {
+                try {
+                    const [success, timezone] = client.get_timezone_finish(result);
+                    const component = success && timezone ? timezone.get_component() : null;
+                    resolve(component ? component.as_ical_string() : null);
+                } catch (error) {
+                    // Built-in zones are resolved through GLib by the collector instead
+                    resolve(null);
+                }
+            });
+        })));
+
+        return timezones.filter(Boolean);
+    }
+
+    destroy() {
+        this.unwatch();
+        this.clients.clear();
+        this.registry = null;
+    }
+}
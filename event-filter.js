@@ -0,0 +1,187 @@
+// event-filter.js - Declarative include/exclude and categorization rules for calendar events
+//
+// A rule is { name, action, category?, match }. `action` is "include", "exclude" or
+// "categorize"; every condition in `match` has to hold. Text conditions take a pattern or
+// a list of patterns (any may match):
+//   "/standup|sync/i"  regular expression
+//   "*@example.com"    glob over the whole value (* and ?), case-insensitive
+//   "holiday"          plain text found anywhere in the value, case-insensitive
+// Conditions: title, description, location, text (title + description), source,
+// calendar, organizer (name or email), time ({ after, before } as "HH:MM", local start)
+// and all_day (boolean). The first include/exclude rule that matches decides visibility
+// (events are kept when none does) and the first categorize rule decides the category.
+
+export const DEFAULT_EVENT_RULES = [
+    {
+        name: 'exclude-holidays',
+        action: 'exclude',
+        match: { text: '/\\b(holiday|christmas|thanksgiving|easter|new year|memorial day|labor day|independence day|veterans day)\\b/i' }
+    },
+    {
+        name: 'exclude-birthdays',
+        action: 'exclude',
+        match: { text: '/\\b(birthday|born|b-day|bday)\\b/i' }
+    },
+    {
+        name: 'exclude-anniversaries',
+        action: 'exclude',
+        match: { text: '/\\b(anniversary|wedding|married)\\b/i' }
+    },
+    {
+        name: 'categorize-work',
+        action: 'categorize',
+        category: 'work',
+        match: { text: '/meeting|conference|call|standup|interview|presentation|deadline|project|work|office/i' }
+    },
+    {
+        name: 'categorize-personal',
+        action: 'categorize',
+        category: 'personal',
+        match: { text: '/doctor|appointment|dentist|personal|family|dinner|lunch|gym|workout/i' }
+    }
+];
+
+const ACTIONS = new Set(['include', 'exclude', 'categorize']);
+const TEXT_CONDITIONS = new Set(['title', 'description', 'location', 'text', 'source', 'calendar', 'organizer']);
+
+// Compiles one pattern string into a predicate over a single string value
+function compilePattern(pattern) {
+    const regexMatch = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+    if (regexMatch) {
+        // Without g and y, test() keeps no lastIndex between values
+        const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+        return value => regex.test(value);
+    }
+
+    if (/[*?]/.test(pattern)) {
+        const source = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+        const regex = new RegExp(`^${source}$`, 'is');
+        return value => regex.test(value);
+    }
+
+    const needle = pattern.toLowerCase();
+    return value => value.toLowerCase().includes(needle);
+}
+
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+    return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+export class EventFilter {
+    constructor(rules = DEFAULT_EVENT_RULES) {
+        this.setRules(rules);
+    }
+
+    // Compiles the rules; invalid ones are logged and skipped so one typo does not disable filtering
+    setRules(rules) {
+        this.rules = [];
+        (rules || []).forEach((rule, index) => {
+            try {
+                this.rules.push(this._compileRule(rule, index));
+            } catch (error) {
+                console.log(`At A Glance: Ignoring event rule ${rule?.name || `#${index + 1}`}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Runs all rules against an event and reports which ones decided the outcome:
+     * { excluded, filterRule, category, categoryRule } with rule names or null.
+     */
+    evaluate(event) {
+        const result = { excluded: false, filterRule: null, category: 'general', categoryRule: null };
+        let filterDecided = false;
+        let categoryDecided = false;
+
+        for (const rule of this.rules) {
+            if (filterDecided && categoryDecided) break;
+
+            const isFilter = rule.action !== 'categorize';
+            if ((isFilter && filterDecided) || (!isFilter && categoryDecided)) continue;
+            if (!rule.matches(event)) continue;
+
+            if (isFilter) {
+                result.excluded = rule.action === 'exclude';
+                result.filterRule = rule.name;
+                filterDecided = true;
+            } else {
+                result.category = rule.category;
+                result.categoryRule = rule.name;
+                categoryDecided = true;
+            }
+        }
+
+        return result;
+    }
+
+    shouldExclude(event) {
+        return this.evaluate(event).excluded;
+    }
+
+    categorizeEvent(event) {
+        return this.evaluate(event).category;
+    }
+
+    _compileRule(rule, index) {
+        if (!rule || typeof rule !== 'object') throw new Error('rule must be an object');
+        if (!ACTIONS.has(rule.action)) throw new Error(`unknown action "${rule.action}"`);
+        if (rule.action === 'categorize' && !rule.category) throw new Error('categorize rules need a category');
+
+        const conditions = Object.entries(rule.match || {}).map(([field, value]) => this._compileCondition(field, value));
+        if (conditions.length === 0) throw new Error('rule has no match conditions');
+
+        return {
+            name: rule.name || `rule-${index + 1}`,
+            action: rule.action,
+            category: rule.category || null,
+            matches: event => conditions.every(condition => condition(event))
+        };
+    }
+
+    _compileCondition(field, value) {
+        if (TEXT_CONDITIONS.has(field)) {
+            const predicates = (Array.isArray(value) ? value : [value]).map(pattern => compilePattern(String(pattern)));
+            return event => this._getFieldValues(event, field)
+                .some(fieldValue => predicates.some(predicate => predicate(fieldValue)));
+        }
+
+        if (field === 'time') {
+            const after = parseTimeOfDay(value?.after);
+            const before = parseTimeOfDay(value?.before);
+            if (after === null && before === null) throw new Error('time needs "after" and/or "before" as HH:MM');
+
+            return event => {
+                const start = new Date(event.start);
+                const minutes = start.getHours() * 60 + start.getMinutes();
+                // after > before describes a window across midnight, e.g. 22:00-06:00
+                if (after !== null && before !== null && after > before) {
+                    return minutes >= after || minutes < before;
+                }
+                return (after === null || minutes >= after) && (before === null || minutes < before);
+            };
+        }
+
+        if (field === 'all_day') {
+            return event => (event.features?.isAllDay || false) === Boolean(value);
+        }
+
+        throw new Error(`unknown match condition "${field}"`);
+    }
+
+    // All values a text condition is checked against; a merged event matches on any of its sources
+    _getFieldValues(event, field) {
+        const sources = event.sources || [];
+        const values = {
+            title: [event.title || event.summary],
+            description: [event.description],
+            location: [event.location],
+            text: [`${event.title || event.summary || ''} ${event.description || ''}`],
+            source: [event.source, ...sources.map(source => source.source)],
+            calendar: [event.calendarName, ...sources.map(source => source.calendarName)],
+            organizer: [event.organizer?.name, event.organizer?.email]
+        }[field];
+
+        return values.filter(value => typeof value === 'string' && value.length > 0);
+    }
+}
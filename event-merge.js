@@ -0,0 +1,156 @@
+// event-merge.js - Cross-source event deduplication for GNOME At A Glance
+//
+// The same meeting can arrive from the Calendar Server, EDS, ICS files/feeds and CalDAV,
+// or sit in two calendars at once. Copies are matched on UID + RECURRENCE-ID, falling
+// back to title and start time, and merged field by field.
+
+const FUZZY_START_TOLERANCE_MS = 60 * 1000;
+
+// PARTSTAT values that say more than the NEEDS-ACTION default
+const PARTSTAT_RANK = { 'NEEDS-ACTION': 0, 'TENTATIVE': 1, 'DELEGATED': 1, 'ACCEPTED': 2, 'DECLINED': 2 };
+
+function normalizeTitle(title) {
+    return (title || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function longest(values) {
+    return values.filter(value => typeof value === 'string' && value.trim().length > 0)
+        .reduce((best, value) => (best === null || value.length > best.length ? value : best), null);
+}
+
+function getSourceLabel(event) {
+    return `${event.source || 'unknown'}|${event.calendarName || ''}`;
+}
+
+export class EventMerger {
+    /**
+     * Returns the events with duplicates merged. Each merged event lists every copy's
+     * origin in `sources` ({ source, calendarName, id }); `source` stays that of the
+     * copy with the highest confidence.
+     */
+    merge(events) {
+        const groups = [];
+        const byKey = new Map(); // UID + RECURRENCE-ID -> group
+        const byTitle = new Map(); // normalized title -> groups
+
+        for (const event of events) {
+            const key = this._getKey(event);
+            let group = key ? byKey.get(key) : null;
+
+            if (!group) {
+                group = this._findFuzzyMatch(event, byTitle.get(normalizeTitle(event.title)) || []);
+            }
+
+            if (!group) {
+                group = { events: [] };
+                groups.push(group);
+                const titleKey = normalizeTitle(event.title);
+                if (!byTitle.has(titleKey)) byTitle.set(titleKey, []);
+                byTitle.get(titleKey).push(group);
+            }
+
+            group.events.push(event);
+            if (key && !byKey.has(key)) byKey.set(key, group);
+        }
+
+        const merged = groups.map(group => this._mergeGroup(group.events));
+        const duplicates = events.length - merged.length;
+        if (duplicates > 0) {
+            console.log(`At A Glance: Merged ${duplicates} duplicate events across sources`);
+        }
+        return merged;
+    }
+
+    _getKey(event) {
+        if (!event.uid) return null;
+        return `${event.uid}|${event.recurrenceId || ''}`;
+    }
+
+    // Title + start only matches copies from a different calendar; one calendar holding
+    // two events with the same title and time means two events
+    _findFuzzyMatch(event, candidates) {
+        const start = new Date(event.start).getTime();
+        const label = getSourceLabel(event);
+
+        return candidates.find(group => group.events.every(other =>
+            getSourceLabel(other) !== label &&
+            (other.features?.isAllDay || false) === (event.features?.isAllDay || false) &&
+            Math.abs(new Date(other.start).getTime() - start) < FUZZY_START_TOLERANCE_MS
+        )) || null;
+    }
+
+    _mergeGroup(events) {
+        if (events.length === 1) {
+            const [event] = events;
+            return { ...event, sources: [this._toSource(event)] };
+        }
+
+        // The most trusted copy decides timing; the others fill in what it lacks
+        const ranked = [...events].sort((a, b) => (b.features?.confidence || 0) - (a.features?.confidence || 0));
+        const base = ranked[0];
+        const attendees = this._mergeAttendees(ranked);
+        const uidSource = ranked.find(event => event.uid) || base;
+
+        return {
+            ...base,
+            uid: uidSource.uid || null,
+            recurrenceId: uidSource.recurrenceId || null,
+            title: longest(ranked.map(event => event.title)) || base.title,
+            description: longest(ranked.map(event => event.description)) || '',
+            location: longest(ranked.map(event => event.location)),
+            organizer: this._mergeOrganizer(ranked),
+            attendees: attendees,
+            categories: [...new Set(ranked.flatMap(event => event.categories || []))],
+            status: ranked.map(event => event.status).find(Boolean) || null,
+            transparency: ranked.map(event => event.transparency).find(Boolean) || 'OPAQUE',
+            calendarName: ranked.map(event => event.calendarName).find(Boolean) || null,
+            calendarColor: ranked.map(event => event.calendarColor).find(Boolean) || null,
+            sources: ranked.map(event => this._toSource(event)),
+            features: {
+                ...base.features,
+                isRecurring: ranked.some(event => event.features?.isRecurring),
+                hasAttendees: attendees.length > 0,
+                categories: [...new Set(ranked.flatMap(event => event.features?.categories || []))]
+            }
+        };
+    }
+
+    _toSource(event) {
+        return { source: event.source || null, calendarName: event.calendarName || null, id: event.id };
+    }
+
+    _mergeOrganizer(events) {
+        const organizers = events.map(event => event.organizer).filter(Boolean);
+        if (organizers.length === 0) return null;
+
+        const withEmail = organizers.find(organizer => organizer.email) || organizers[0];
+        return {
+            name: longest(organizers.map(organizer => organizer.name)) || withEmail.name || null,
+            email: withEmail.email || null
+        };
+    }
+
+    _mergeAttendees(events) {
+        const byAddress = new Map();
+
+        for (const attendee of events.flatMap(event => event.attendees || [])) {
+            const address = (attendee.email || attendee.name || '').toLowerCase();
+            if (!address) continue;
+
+            const known = byAddress.get(address);
+            if (!known) {
+                byAddress.set(address, { ...attendee });
+                continue;
+            }
+
+            known.name = longest([known.name, attendee.name]) || known.name;
+            if ((PARTSTAT_RANK[attendee.partstat] || 0) > (PARTSTAT_RANK[known.partstat] || 0)) {
+                known.partstat = attendee.partstat;
+            }
+            known.role = known.role || attendee.role;
+            known.rsvp = known.rsvp || attendee.rsvp;
+        }
+
+        return [...byAddress.values()];
+    }
+}
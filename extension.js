@@ -3,6 +3,8 @@ import Clutter from 'gi://Clutter';
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 import GObject from 'gi://GObject';
+import Meta from 'gi://Meta';
+import Shell from 'gi://Shell';
 import Soup from 'gi://Soup?version=3.0';
 
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
@@ -11,10 +13,24 @@ import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
 import {Extension} from 'resource:///org/gnome/shell/extensions/extension.js';
 
 // Import calendar integration
-import { CalendarDataCollector } from './calendar-integration.js';
+import {
+    CalendarDataCollector, getAttendedEvents, getCalendarSituation, groupAgendaEvents,
+    getGnomeCalendarEventId, formatEventTitle
+} from './calendar-integration.js';
 // Import meeting assistant and adaptive learning
 import { MeetingAssistant } from './meeting-assistant.js';
+import { MEETING_TYPES, MEETING_TYPE_LABELS } from './meeting-classifier.js';
+import { MeetingNotifier } from './meeting-notifications.js';
+import { PrepTaskTracker } from './meeting-prep-tasks.js';
+import { MeetingNotes } from './meeting-notes.js';
+import { TravelTimeEstimator } from './travel-time.js';
 import { AdaptiveLearning } from './adaptive-learning.js';
+import { createLLMProvider, LLMError } from './llm-providers.js';
+import { ResponseCache, hashContext } from './response-cache.js';
+import { DEFAULT_PRICING, UsageLedger, estimateCost, getBudgetStatus } from './ai-usage.js';
+import {
+    PRIORITY_SCHEMA, PrioritizationSchemaError, describeCandidates, parsePrioritization
+} from './prioritization-schema.js';
 // Import email integration (disabled for now)
 // import { EmailIntegration } from './email-integration.js';
 
@@ -43,14 +59,300 @@ function getApiKey(service) {
     }
 }
 
-// Claude API rate limiting and caching system
+// The language model backend chosen in the "llm" config section; rebuilt only when
+// that section or the Claude API key changes. Null when none is usable.
+let llmProvider = null;
+let llmProviderConfig = null;
+
+function getLLMProvider() {
+    let llmConfig = {};
+    try {
+        const configFile = Gio.File.new_for_path(GLib.get_home_dir() + '/.config/at-a-glance/config.json');
+        if (configFile.query_exists(null)) {
+            const [success, contents] = configFile.load_contents(null);
+            if (success) {
+                llmConfig = JSON.parse(new TextDecoder().decode(contents)).llm || {};
+            }
+        }
+    } catch (error) {
+        console.error('At A Glance: Error reading llm config:', error);
+    }
+
+    const claudeApiKey = getApiKey('claude');
+    const configKey = JSON.stringify([llmConfig, claudeApiKey]);
+    if (configKey !== llmProviderConfig) {
+        llmProviderConfig = configKey;
+        try {
+            llmProvider = createLLMProvider(llmConfig, claudeApiKey);
+            if (llmProvider) {
+                console.log(`At A Glance: Using ${llmProvider.label} for AI insights${llmProvider.isLocal ? ' (local)' : ''}`);
+            }
+        } catch (error) {
+            console.error('At A Glance:', error.message);
+            llmProvider = null;
+        }
+    }
+    return llmProvider;
+}
+
+// Describes an event in progress: "Day 3 of 5: Conference", "Holiday (all day)",
+// "Standup ends in 20 min" or "Workshop until 03:00 PM"
+function formatOngoingEvent({ event, timing }) {
+    const title = formatEventTitle(event);
+    if (timing.totalDays > 1) {
+        return `Day ${timing.dayNumber} of ${timing.totalDays}: ${title}`;
+    }
+    if (timing.isAllDay) {
+        return `${title} (all day)`;
+    }
+    if (timing.minutesUntilEnd <= 60) {
+        return `${title} ends in ${timing.minutesUntilEnd} min`;
+    }
+    const endTime = new Date(event.end).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    return `${title} until ${endTime}`;
+}
+
+// Panel alert for a schedule problem that is about to matter: a double booking or overlap
+// later today, no time to travel to the next meeting, or a run of meetings without a break
+function formatScheduleAlert(schedule, now = new Date()) {
+    if (!schedule) return null;
+    const minutesFromNow = time => Math.round((new Date(time) - now) / (1000 * 60));
+    const clock = time => new Date(time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+
+    const conflict = schedule.conflicts.find(({ start }) => new Date(start).toDateString() === now.toDateString());
+    if (conflict) {
+        return conflict.doubleBooked
+            ? `⚠️ Double-booked @ ${clock(conflict.start)}`
+            : `⚠️ ${formatEventTitle(conflict.first)} overlaps ${formatEventTitle(conflict.second)}`;
+    }
+
+    const travel = schedule.travelConflicts.find(({ from }) => minutesFromNow(from.end) <= 60);
+    if (travel) {
+        return `🚗 No travel time to ${formatEventTitle(travel.to)}`;
+    }
+
+    const chain = schedule.backToBack.find(({ start, events }) => events.length >= 3 && minutesFromNow(start) <= 30);
+    if (chain) {
+        return `🏃 ${chain.events.length} back-to-back until ${clock(chain.end)}`;
+    }
+
+    return null;
+}
+
+// "Leave in 10 min for X" once departure for an in-person event is within `withinMinutes`
+function formatDepartureAlert(travel, withinMinutes, now = new Date()) {
+    if (!travel) return null;
+    const minutesUntilLeave = Math.round((new Date(travel.leaveAt) - now) / (1000 * 60));
+    if (minutesUntilLeave > withinMinutes) return null;
+    
+    const title = formatEventTitle(travel.event);
+    return minutesUntilLeave > 0 ? `🚗 Leave in ${minutesUntilLeave} min for ${title}` : `🚗 Leave now for ${title}`;
+}
+
+/**
+ * Everything the AI may put on the panel, as { id, source, label, detail, display, icon }:
+ * meetings in progress and the next ones today, travel and schedule alerts, tasks,
+ * battery and NixOS status, and the weather. `label` is the item's name as it appears
+ * in the data, `display` the text shown when the AI's own text can't be trusted.
+ */
+function buildPriorityCandidates(data, now = new Date()) {
+    const candidates = [];
+    const clock = time => new Date(time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+    const { ongoing } = getCalendarSituation(data.calendar, now);
+
+    ongoing.slice(0, 2).forEach((situation, index) => {
+        candidates.push({
+            id: `meeting-now-${index + 1}`,
+            source: 'calendar',
+            label: situation.event.title,
+            detail: `happening now, ${formatOngoingEvent(situation)}`,
+            display: formatOngoingEvent(situation),
+            icon: '⏳'
+        });
+    });
+
+    const upcoming = getAttendedEvents(data.calendar)
+        .filter(event => !event.features?.isAllDay && new Date(event.start) > now)
+        .filter(event => new Date(event.start).toDateString() === now.toDateString())
+        .sort((a, b) => new Date(a.start) - new Date(b.start))
+        .slice(0, 3);
+    upcoming.forEach((event, index) => {
+        const minutesUntil = Math.round((new Date(event.start) - now) / (1000 * 60));
+        const tentativeNote = event.features?.availability === 'tentative' ? ', tentative' : '';
+        candidates.push({
+            id: `event-${index + 1}`,
+            source: 'calendar',
+            label: event.title,
+            detail: `starts in ${minutesUntil} min at ${clock(event.start)}${event.location ? ` at ${event.location}` : ''}${tentativeNote}`,
+            display: minutesUntil <= 15 ? `${formatEventTitle(event)} in ${minutesUntil}min` : `${formatEventTitle(event)} @ ${clock(event.start)}`,
+            icon: minutesUntil <= 15 ? '🚨' : '📅'
+        });
+    });
+
+    if (data.travel) {
+        candidates.push({
+            id: 'travel',
+            source: 'calendar',
+            label: data.travel.event.title,
+            detail: `in-person, leave by ${clock(data.travel.leaveAt)} (${data.travel.travelMinutes} min travel)`,
+            display: `Leave at ${clock(data.travel.leaveAt)} for ${formatEventTitle(data.travel.event)}`,
+            icon: '🚗'
+        });
+    }
+
+    const scheduleAlert = formatScheduleAlert(data.schedule, now);
+    if (scheduleAlert) {
+        const [icon, ...words] = scheduleAlert.split(' ');
+        candidates.push({
+            id: 'schedule',
+            source: 'calendar',
+            label: words.join(' '),
+            detail: 'schedule problem',
+            display: words.join(' '),
+            icon: icon
+        });
+    }
+
+    const priorityOrder = { high: 0, medium: 1, low: 2 };
+    [...data.tasks]
+        .sort((a, b) => (priorityOrder[a.priority] ?? 2) - (priorityOrder[b.priority] ?? 2))
+        .slice(0, 5)
+        .forEach((task, index) => {
+            candidates.push({
+                id: `task-${index + 1}`,
+                source: 'task',
+                label: task.title,
+                detail: `${task.priority} priority${task.due ? `, due ${task.due}` : ''}`,
+                display: task.title,
+                icon: task.priority === 'high' ? '⚡' : '📋'
+            });
+        });
+
+    if (data.system.battery !== 'N/A') {
+        candidates.push({
+            id: 'battery',
+            source: 'system',
+            label: `${data.system.battery}% battery`,
+            detail: null,
+            display: `${data.system.battery}% battery`,
+            icon: '🔋'
+        });
+    }
+    if (data.system.nixosIssues > 0) {
+        candidates.push({
+            id: 'nixos',
+            source: 'system',
+            label: data.system.nixosStatus,
+            detail: null,
+            display: data.system.nixosStatus,
+            icon: '⚠️'
+        });
+    }
+
+    candidates.push({
+        id: 'weather',
+        source: 'weather',
+        label: `${data.weather.temp}°F ${data.weather.condition}`,
+        detail: null,
+        display: `${data.weather.temp}°F ${data.weather.condition}`,
+        icon: '⛅'
+    });
+
+    return candidates;
+}
+
+// Meetings a join or dial-in action may be for, best first: one starting within 15 minutes,
+// timed meetings in progress, then the next one later on
+function getMeetingCandidates(events) {
+    const { ongoing, next } = getCalendarSituation(events);
+    const startingSoon = next && next.timing.minutesUntilStart <= 15 ? next : null;
+    return [
+        startingSoon,
+        ...ongoing.filter(({ timing }) => !timing.isAllDay && timing.totalDays === 1),
+        next
+    ].filter(Boolean);
+}
+
+// The first candidate with a meeting link as { event, link, imminent }, or null
+function getJoinableMeeting(events) {
+    for (const { event, timing } of getMeetingCandidates(events)) {
+        const [link] = meetingAssistant.extractMeetingLinks(event);
+        if (link) {
+            // Imminent: about to start, or started in the last 10 minutes
+            const imminent = timing.minutesUntilStart <= 15 && timing.minutesUntilStart > -10;
+            return { event, link, imminent };
+        }
+    }
+    return null;
+}
+
+// The first candidate whose invite has phone dial-ins, IDs or SIP addresses as { event, dialIn }, or null
+function getDialInMeeting(events) {
+    for (const { event } of getMeetingCandidates(events)) {
+        const dialIn = meetingAssistant.extractDialInInfo(event);
+        if (meetingAssistant.hasDialInInfo(dialIn)) {
+            return { event, dialIn };
+        }
+    }
+    return null;
+}
+
+// Requests per day across all providers when config.json sets no max_daily_requests;
+// the same value the shipped config.json has
+const DEFAULT_MAX_DAILY_REQUESTS = 24;
+
+// AI request rate limiting and caching system. max_daily_requests caps the requests of
+// all providers together; the count per provider id ("anthropic:claude-3-haiku-20240307",
+// "ollama:llama3.2", ...) is kept for reporting only. Responses are cached per provider
+// id, so switching providers doesn't return the other's cached answers. Cached responses
+// are kept on disk and outlive shell restarts. Tokens and cost of every response go to
+// the usage ledger, which the dollar budgets are checked against.
 class ClaudeRateLimit {
     constructor() {
-        this.cache = new Map();
         this.usageFile = GLib.get_home_dir() + '/.config/at-a-glance/claude-usage.json';
-        this.maxDailyRequests = 150;
+        this.maxDailyRequests = DEFAULT_MAX_DAILY_REQUESTS;
+        this.pricing = { ...DEFAULT_PRICING };
+        this.budget = {};
+        this.budgetWarnedOn = null;
+        this.unpricedModels = new Set();
         this.cacheTimeoutMinutes = 60;
+        this.cache = new ResponseCache(this.cacheTimeoutMinutes);
+        this.ledger = new UsageLedger();
+        this.settings = null;
         this.ensureUsageFile();
+        this.loadLimits();
+    }
+
+    // The extension's GSettings, where the preferences window can pause AI requests
+    setSettings(settings) {
+        this.settings = settings;
+    }
+
+    // When a pause set in the preferences ends, or null when AI requests are not paused
+    getPausedUntil() {
+        const until = this.settings ? this.settings.get_int64('ai-paused-until') : 0;
+        return until * 1000 > Date.now() ? new Date(until * 1000) : null;
+    }
+
+    // Request limit, pricing and budgets from config.json; re-read before every check
+    // so edits apply without a reload
+    loadLimits() {
+        let config = {};
+        try {
+            const configFile = Gio.File.new_for_path(GLib.get_home_dir() + '/.config/at-a-glance/config.json');
+            if (configFile.query_exists(null)) {
+                const [success, contents] = configFile.load_contents(null);
+                if (success) {
+                    config = JSON.parse(new TextDecoder().decode(contents));
+                }
+            }
+        } catch (error) {
+            console.error('At A Glance: Error reading AI limits from config:', error);
+        }
+
+        this.maxDailyRequests = config.max_daily_requests ?? DEFAULT_MAX_DAILY_REQUESTS;
+        this.pricing = { ...DEFAULT_PRICING, ...(config.llm?.pricing || {}) };
+        this.budget = config.llm?.budget || {};
     }
 
     ensureUsageFile() {
@@ -67,7 +369,8 @@ class ClaudeRateLimit {
                     date: new Date().toDateString(),
                     requests: 0,
                     insights: 0,
-                    prioritization: 0
+                    prioritization: 0,
+                    providers: {}
                 };
                 usageFile.replace_contents(
                     JSON.stringify(initialData, null, 2),
@@ -96,7 +399,8 @@ class ClaudeRateLimit {
                             date: today,
                             requests: 0,
                             insights: 0,
-                            prioritization: 0
+                            prioritization: 0,
+                            providers: {}
                         };
                     }
                     return data;
@@ -109,10 +413,15 @@ class ClaudeRateLimit {
             date: new Date().toDateString(),
             requests: 0,
             insights: 0,
-            prioritization: 0
+            prioritization: 0,
+            providers: {}
         };
     }
 
+    getProviderUsage(usage, providerId) {
+        return usage.providers?.[providerId] || { requests: 0, insights: 0, prioritization: 0 };
+    }
+
     saveUsageData(data) {
         try {
             const usageFile = Gio.File.new_for_path(this.usageFile);
@@ -127,65 +436,141 @@ class ClaudeRateLimit {
         }
     }
 
-    canMakeRequest(type = 'general') {
+    // Whether the provider's requests cost money: priced models, and unpriced cloud ones.
+    // Free local servers are not held to the dollar budgets.
+    isMetered(provider) {
+        return Boolean(this.pricing[provider.model]) || !provider.isLocal;
+    }
+
+    canMakeRequest(type, provider) {
+        const pausedUntil = this.getPausedUntil();
+        if (pausedUntil) {
+            console.log(`At A Glance: AI requests paused until ${pausedUntil.toLocaleString()}`);
+            return false;
+        }
+        
+        this.loadLimits();
+        const budget = this.isMetered(provider) ? getBudgetStatus(this.ledger, this.budget) : null;
+        if (budget?.exceeded) {
+            const { spent, limit } = budget[budget.exceeded];
+            console.log(`At A Glance: ${budget.exceeded === 'daily' ? 'Daily' : 'Monthly'} AI budget reached ($${spent.toFixed(4)}/$${limit.toFixed(2)})`);
+            return false;
+        }
+        
+        // Counted over all providers, so switching models doesn't reset the quota
         const usage = this.getUsageData();
         const remaining = this.maxDailyRequests - usage.requests;
         
         if (remaining <= 0) {
-            console.log(`At A Glance: Daily Claude API limit reached (${usage.requests}/${this.maxDailyRequests})`);
+            console.log(`At A Glance: Daily AI limit reached (${usage.requests}/${this.maxDailyRequests})`);
             return false;
         }
         
         if (remaining <= 3) {
-            console.log(`At A Glance: Warning - Only ${remaining} Claude API requests remaining today`);
+            console.log(`At A Glance: Warning - Only ${remaining} AI requests remaining today`);
         }
         
         return true;
     }
 
-    recordRequest(type = 'general') {
+    recordRequest(type = 'general', providerId = 'default') {
         const usage = this.getUsageData();
-        usage.requests++;
-        if (type === 'insights') usage.insights++;
-        if (type === 'prioritization') usage.prioritization++;
+        usage.providers = usage.providers || {};
+        const providerUsage = this.getProviderUsage(usage, providerId);
+        usage.providers[providerId] = providerUsage;
+
+        for (const counts of [usage, providerUsage]) {
+            counts.requests++;
+            if (type === 'insights') counts.insights++;
+            if (type === 'prioritization') counts.prioritization++;
+        }
         usage.date = new Date().toDateString();
         this.saveUsageData(usage);
         
-        console.log(`At A Glance: Claude API request recorded. Usage: ${usage.requests}/${this.maxDailyRequests} (${type})`);
+        console.log(`At A Glance: AI request recorded for ${providerId}. Usage: ${usage.requests}/${this.maxDailyRequests} (${type})`);
+    }
+
+    /**
+     * Adds a response's tokens (`usage` from LLMProvider.complete(), null when the server
+     * reported none) and their estimated cost to the ledger. Models without a price count
+     * as free: local servers always, cloud models with a one-time warning.
+     */
+    recordUsage(type, provider, usage) {
+        const tokens = usage || { inputTokens: 0, outputTokens: 0 };
+        const price = this.pricing[provider.model] || null;
+        if (!price && !provider.isLocal && !this.unpricedModels.has(provider.model)) {
+            this.unpricedModels.add(provider.model);
+            console.log(`At A Glance: No price for ${provider.model}, add it to llm.pricing to track its cost`);
+        }
+        const cost = price ? estimateCost(tokens, price) : 0;
+        this.ledger.record(type, provider.id, tokens, cost);
+        if (!this.isMetered(provider)) return;
+
+        const warning = this.getBudgetWarning();
+        const today = new Date().toDateString();
+        if (warning && this.budgetWarnedOn !== today) {
+            this.budgetWarnedOn = today;
+            console.log(`At A Glance: Warning - ${warning}`);
+            Main.notify('At A Glance', warning);
+        }
+    }
+
+    // "AI budget nearly used ($0.04/$0.05 today)" while a budget is past warn_at but not
+    // yet spent, otherwise null
+    getBudgetWarning(budget = getBudgetStatus(this.ledger, this.budget)) {
+        if (!budget.warning || budget.exceeded) return null;
+        const [period, { spent, limit }] = budget.daily.state === 'warning'
+            ? ['today', budget.daily] : ['this month', budget.monthly];
+        return `AI budget nearly used ($${spent.toFixed(2)}/$${limit.toFixed(2)} ${period})`;
+    }
+
+    // Stable key for a request: the hash of its type, provider and normalized context
+    getCacheKey(type, context, providerId = 'default') {
+        return hashContext({ type: type, provider: providerId, context: context });
     }
 
     getCached(key) {
         const cached = this.cache.get(key);
+        this.ledger.recordCacheLookup(Boolean(cached));
         if (cached) {
             const ageMinutes = (Date.now() - cached.timestamp) / (1000 * 60);
-            if (ageMinutes < this.cacheTimeoutMinutes) {
-                console.log(`At A Glance: Using cached Claude response for ${key} (${Math.round(ageMinutes)}min old)`);
-                return cached.data;
-            } else {
-                this.cache.delete(key);
-                console.log(`At A Glance: Cache expired for ${key} (${Math.round(ageMinutes)}min old)`);
-            }
+            console.log(`At A Glance: Using cached ${cached.provider} ${cached.type} response (${Math.round(ageMinutes)}min old)`);
+            return cached.data;
         }
         return null;
     }
 
-    setCached(key, data) {
-        this.cache.set(key, {
-            data: data,
-            timestamp: Date.now()
-        });
-        console.log(`At A Glance: Cached Claude response for ${key}`);
+    // Writes the cache hits and misses counted since the last request, once per refresh
+    flushUsage() {
+        this.ledger.flush();
+    }
+
+    setCached(key, data, type = 'general', providerId = 'default') {
+        this.cache.set(key, data, { type: type, provider: providerId });
+        console.log(`At A Glance: Cached ${providerId} ${type} response`);
     }
 
+    // Today's requests against the limit, over all providers; `providers` breaks them down
     getUsageStatus() {
+        this.loadLimits();
         const usage = this.getUsageData();
         const remaining = this.maxDailyRequests - usage.requests;
+        const today = this.ledger.getDay();
+        const month = this.ledger.getMonth();
         return {
             used: usage.requests,
             remaining: remaining,
             limit: this.maxDailyRequests,
             insights: usage.insights,
             prioritization: usage.prioritization,
+            providers: usage.providers || {},
+            tokens: {
+                today: { input: today.inputTokens, output: today.outputTokens },
+                month: { input: month.inputTokens, output: month.outputTokens }
+            },
+            cost: { today: today.cost, month: month.cost },
+            budget: getBudgetStatus(this.ledger, this.budget),
+            pausedUntil: this.getPausedUntil(),
             resetTime: 'midnight'
         };
     }
@@ -197,6 +582,10 @@ const claudeRateLimit = new ClaudeRateLimit();
 // Global meeting assistant and adaptive learning instances
 const meetingAssistant = new MeetingAssistant();
 const adaptiveLearning = new AdaptiveLearning();
+const prepTaskTracker = new PrepTaskTracker(() => getApiKey('todoist'));
+meetingAssistant.setPrepTaskTracker(prepTaskTracker);
+const travelTimeEstimator = new TravelTimeEstimator();
+const meetingNotes = new MeetingNotes(meetingAssistant);
 
 // Data collection object
 const DataCollector = {
@@ -294,6 +683,13 @@ const DataCollector = {
         return await this.calendarCollector.getCalendarEvents();
     },
 
+    onCalendarChanged(callback) {
+        if (!this.calendarCollector) {
+            this.calendarCollector = new CalendarDataCollector();
+        }
+        this.calendarCollector.onChanged(callback);
+    },
+
     async getTasks() {
         try {
             const apiKey = getApiKey('todoist');
@@ -362,10 +758,10 @@ const DataCollector = {
 
     async getClaudeInsights(data) {
         try {
-            const apiKey = getApiKey('claude');
-            if (!apiKey) {
+            const provider = getLLMProvider();
+            if (!provider) {
                 return {
-                    summary: 'Configure Claude API key for AI insights',
+                    summary: 'Configure an AI provider for insights',
                     priority: 'Configure APIs for smart analysis'
                 };
             }
@@ -375,7 +771,7 @@ const DataCollector = {
             const hour = now.getHours();
             const timeContext = hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
             
-            const hasEvents = data.calendar.length > 0;
+            const hasEvents = getAttendedEvents(data.calendar).length > 0;
             const urgentTasks = data.tasks.filter(task => task.priority === 'high');
             const urgentTaskTitles = urgentTasks.slice(0, 2).map(t => t.title).join(', ');
             const weatherTemp = data.weather.temp;
@@ -383,7 +779,15 @@ const DataCollector = {
             
             // Create a cache key based on current context (rounded to nearest 10 minutes for better caching)
             const roundedMinutes = Math.floor(now.getMinutes() / 10) * 10;
-            const cacheKey = `insights-${timeContext}-${hasEvents}-${urgentTasks.length}-${weatherTemp}-${now.toDateString()}-${hour}:${roundedMinutes}`;
+            const conflictCount = data.schedule ? data.schedule.conflicts.length + data.schedule.travelConflicts.length : 0;
+            const cacheKey = claudeRateLimit.getCacheKey('insights', {
+                timeContext: timeContext,
+                hasEvents: hasEvents,
+                conflictCount: conflictCount,
+                urgentTasks: urgentTasks.map(task => task.title),
+                weather: `${weatherTemp} ${weatherCondition}`,
+                window: `${now.toDateString()} ${hour}:${roundedMinutes}`
+            }, provider.id);
             
             // Check cache first
             const cached = claudeRateLimit.getCached(cacheKey);
@@ -392,8 +796,21 @@ const DataCollector = {
             }
             
             // Check rate limit
-            if (!claudeRateLimit.canMakeRequest('insights')) {
+            if (!claudeRateLimit.canMakeRequest('insights', provider)) {
                 const usage = claudeRateLimit.getUsageStatus();
+                if (usage.pausedUntil) {
+                    return {
+                        summary: 'AI insights paused until tomorrow',
+                        priority: 'Resume in the extension preferences'
+                    };
+                }
+                if (usage.budget.exceeded && claudeRateLimit.isMetered(provider)) {
+                    const { spent, limit } = usage.budget[usage.budget.exceeded];
+                    return {
+                        summary: `AI budget reached ($${spent.toFixed(2)}/$${limit.toFixed(2)})`,
+                        priority: `Budget exhausted - resets ${usage.budget.exceeded === 'daily' ? 'at midnight' : 'next month'}`
+                    };
+                }
                 return {
                     summary: `Daily AI limit reached (${usage.used}/${usage.limit})`,
                     priority: 'Rate limited - resets at midnight'
@@ -404,6 +821,9 @@ const DataCollector = {
             const meetingContext = data.meetings?.hasMeetings 
                 ? `${data.meetings.summary}${data.meetings.nextMeeting?.hasPreparation ? ' (prep needed)' : ''}`
                 : 'No meetings scheduled';
+            
+            // Overlaps, back-to-back runs, missing travel time and the focus time left today
+            const scheduleContext = data.schedule ? meetingAssistant.summarizeSchedule(data.schedule) : 'Unknown';
 
             // Adaptive learning context for better personalization
             const learningContext = data.learningContext;
@@ -417,6 +837,7 @@ Context:
 - Weather: ${weatherTemp}°F, ${weatherCondition}
 - Calendar: ${hasEvents ? 'Has scheduled events' : 'No events scheduled'}
 - Meetings: ${meetingContext}
+- Schedule: ${scheduleContext}
 - Tasks: ${urgentTasks.length > 0 ? `Urgent: ${urgentTaskTitles}` : data.tasks.length + ' tasks pending'}
 - Time: ${timeContext}
 - User Session: ${sessionInfo}
@@ -434,54 +855,31 @@ Your response should be helpful, concise, and relevant to the current situation.
 
 Response:`;
 
-            const httpSession = new Soup.Session();
-            const message = Soup.Message.new('POST', 'https://api.anthropic.com/v1/messages');
+            // Record the request before making it
+            claudeRateLimit.recordRequest('insights', provider.id);
+
+            const { text: content, usage } = await provider.complete({ prompt: prompt, maxTokens: 100 });
+            claudeRateLimit.recordUsage('insights', provider, usage);
+            const budgetWarning = claudeRateLimit.isMetered(provider) ? claudeRateLimit.getBudgetWarning() : null;
+            const responseData = {
+                summary: content,
+                priority: budgetWarning ? `⚠️ ${budgetWarning}` : '🤖 AI Analysis Complete'
+            };
             
-            message.get_request_headers().append('Content-Type', 'application/json');
-            message.get_request_headers().append('anthropic-version', '2023-06-01');
-            message.get_request_headers().append('x-api-key', apiKey);
+            // Cache the successful response
+            claudeRateLimit.setCached(cacheKey, responseData, 'insights', provider.id);
             
-            const body = JSON.stringify({
-                model: 'claude-3-haiku-20240307',
-                messages: [{
-                    role: 'user',
-                    content: prompt
-                }],
-                max_tokens: 100
-            });
-            
-            const bodyBytes = new TextEncoder().encode(body);
-            message.set_request_body_from_bytes('application/json', GLib.Bytes.new(bodyBytes));
-
-            // Record the request before making it
-            claudeRateLimit.recordRequest('insights');
-
-            const response = await httpSession.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null);
-            if (message.get_status() === 200) {
-                const decoder = new TextDecoder('utf-8');
-                const responseText = decoder.decode(response.get_data());
-                const result = JSON.parse(responseText);
-                const content = result.content[0].text.trim();
-                
-                const responseData = {
-                    summary: content,
-                    priority: '🤖 AI Analysis Complete'
-                };
-                
-                // Cache the successful response
-                claudeRateLimit.setCached(cacheKey, responseData);
-                
-                return responseData;
-            } else {
+            return responseData;
+        } catch (error) {
+            console.error('At A Glance: AI insights error:', error);
+            if (error instanceof LLMError && error.status !== null) {
                 return {
-                    summary: `Claude API error: ${message.get_status()}`,
+                    summary: error.message,
                     priority: 'Check API key and credits'
                 };
             }
-        } catch (error) {
-            console.error('Claude API error:', error);
             return {
-                summary: 'Claude service unavailable',
+                summary: 'AI service unavailable',
                 priority: 'AI insights disabled'
             };
         }
@@ -489,8 +887,8 @@ Response:`;
 
     async getClaudePrioritization(data) {
         try {
-            const apiKey = getApiKey('claude');
-            if (!apiKey) {
+            const provider = getLLMProvider();
+            if (!provider) {
                 return null; // Will trigger fallback logic
             }
 
@@ -498,26 +896,36 @@ Response:`;
             const hour = now.getHours();
             const timeContext = hour < 12 ? 'morning' : hour < 17 ? 'afternoon' : 'evening';
             
-            // Prepare detailed context for prioritization
+            // Prepare detailed context for prioritization; declined, cancelled and free-time events don't compete
+            const { ongoing, next } = getCalendarSituation(data.calendar, now);
             let calendarContext = 'No upcoming events';
-            if (data.calendar.length > 0) {
-                const nextEvent = data.calendar[0];
+            if (next) {
+                const nextEvent = next.event;
                 const eventTime = new Date(nextEvent.start);
-                const minutesUntil = Math.floor((eventTime - now) / (1000 * 60));
+                const minutesUntil = next.timing.minutesUntilStart;
                 const timeString = eventTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+                const tentativeNote = nextEvent.features.availability === 'tentative' ? ' (tentative, not confirmed)' : '';
                 
                 if (minutesUntil <= 15) {
-                    calendarContext = `URGENT: "${nextEvent.title}" starting in ${minutesUntil} minutes`;
+                    calendarContext = `URGENT: "${nextEvent.title}"${tentativeNote} starting in ${minutesUntil} minutes`;
                 } else if (minutesUntil <= 240) { // 4 hours
-                    calendarContext = `Next: "${nextEvent.title}" at ${timeString} (${Math.floor(minutesUntil/60)}h ${minutesUntil%60}m away)`;
+                    calendarContext = `Next: "${nextEvent.title}"${tentativeNote} at ${timeString} (${Math.floor(minutesUntil/60)}h ${minutesUntil%60}m away)`;
                 } else {
-                    calendarContext = `Later today: "${nextEvent.title}" at ${timeString}`;
+                    calendarContext = `Later today: "${nextEvent.title}"${tentativeNote} at ${timeString}`;
                 }
                 
                 if (nextEvent.location) {
                     calendarContext += ` at ${nextEvent.location}`;
                 }
             }
+            if (data.travel) {
+                const leaveTime = new Date(data.travel.leaveAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+                calendarContext += `. Must leave by ${leaveTime} for in-person "${data.travel.event.title}" (${data.travel.travelMinutes} min travel)`;
+            }
+            if (ongoing.length > 0) {
+                const ongoingContext = `Happening now: ${ongoing.slice(0, 2).map(formatOngoingEvent).join('; ')}`;
+                calendarContext = next ? `${ongoingContext}. ${calendarContext}` : ongoingContext;
+            }
             
             let tasksContext = 'No tasks';
             if (data.tasks.length > 0) {
@@ -534,10 +942,25 @@ Response:`;
                 }
             }
             
+            // Double bookings, missing travel time or a long run of meetings coming up
+            const scheduleAlert = formatScheduleAlert(data.schedule, now);
+            
+            // The only things the answer may pick from
+            const candidates = buildPriorityCandidates(data, now);
+            
             // Create cache key for prioritization (more frequent updates than insights)
             const roundedMinutes = Math.floor(now.getMinutes() / 5) * 5; // 5-minute windows for prioritization
             const urgentCount = data.tasks.filter(t => t.priority === 'high').length;
-            const cacheKey = `priority-${timeContext}-${data.calendar.length}-${urgentCount}-${data.weather.temp}-${now.toDateString()}-${hour}:${roundedMinutes}`;
+            const cacheKey = claudeRateLimit.getCacheKey('prioritization', {
+                timeContext: timeContext,
+                ongoing: ongoing.map(({ event }) => event.id),
+                next: next ? next.event.id : null,
+                scheduleAlert: scheduleAlert,
+                urgentCount: urgentCount,
+                candidates: candidates.map(candidate => `${candidate.id} ${candidate.label}`),
+                weatherTemp: data.weather.temp,
+                window: `${now.toDateString()} ${hour}:${roundedMinutes}`
+            }, provider.id);
             
             // Check cache first
             const cached = claudeRateLimit.getCached(cacheKey);
@@ -546,7 +969,7 @@ Response:`;
             }
             
             // Check rate limit
-            if (!claudeRateLimit.canMakeRequest('prioritization')) {
+            if (!claudeRateLimit.canMakeRequest('prioritization', provider)) {
                 console.log('At A Glance: Rate limit reached for prioritization, using fallback');
                 return null; // Will trigger fallback logic
             }
@@ -570,67 +993,46 @@ Response:`;
 Current Context (${timeContext}):
 • Calendar: ${calendarContext}
 • Meetings: ${meetingPriorityContext}
+• Schedule problems: ${scheduleAlert || 'None'}
 • Tasks: ${tasksContext}
 • Weather: ${data.weather.temp}°F, ${data.weather.condition}
 • System: ${data.system.nixosStatus}, ${data.system.battery}% battery
 • User Priorities: ${weightSummary || 'Default weights'}
 • User Preference: ${topUserPreference}
 
-Choose the SINGLE most important thing to display right now based on:
+Items that can be displayed:
+${describeCandidates(candidates)}
+
+Choose the SINGLE most important item to display right now based on:
 - Time sensitivity and urgency
 - User's personalized priorities and patterns
 - Relevance to current situation
-- Relevance to current situation
 
-Format: emoji + brief text (max 35 characters)
-Use contextually appropriate emojis and be creative with your choices.
+Answer with only a JSON object, no other text:
+{"id": "<id from the list>", "source": "calendar|task|weather|system", "urgency": <integer 0-100>, "reason": "<one short sentence>"}
 
-Focus on what would be most helpful for the user to see at a glance right now.
+Only choose items from the list.`;
 
-Response (just the display text):`;
-
-            const httpSession = new Soup.Session();
-            const message = Soup.Message.new('POST', 'https://api.anthropic.com/v1/messages');
-            
-            message.get_request_headers().append('Content-Type', 'application/json');
-            message.get_request_headers().append('anthropic-version', '2023-06-01');
-            message.get_request_headers().append('x-api-key', apiKey);
+            // Record the request before making it
+            claudeRateLimit.recordRequest('prioritization', provider.id);
+
+            const { text: content, usage } = await provider.complete({ prompt: prompt, maxTokens: 150, schema: PRIORITY_SCHEMA });
+            claudeRateLimit.recordUsage('prioritization', provider, usage);
+            const choice = parsePrioritization(content, candidates);
+            console.log(`At A Glance: AI chose ${choice.id} (urgency ${choice.urgency}): ${choice.reason}`);
+            // The panel shows the chosen item's own text and icon; the model only picks it
+            const display = `${choice.icon} ${choice.text}`;
             
-            const body = JSON.stringify({
-                model: 'claude-3-haiku-20240307',
-                messages: [{
-                    role: 'user',
-                    content: prompt
-                }],
-                max_tokens: 50
-            });
+            // Cache the validated response
+            claudeRateLimit.setCached(cacheKey, display, 'prioritization', provider.id);
             
-            const bodyBytes = new TextEncoder().encode(body);
-            message.set_request_body_from_bytes('application/json', GLib.Bytes.new(bodyBytes));
-
-            // Record the request before making it
-            claudeRateLimit.recordRequest('prioritization');
-
-            const response = await httpSession.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null);
-            if (message.get_status() === 200) {
-                const decoder = new TextDecoder('utf-8');
-                const responseText = decoder.decode(response.get_data());
-                const result = JSON.parse(responseText);
-                const content = result.content[0].text.trim();
-                
-                // Remove quotes if AI added them
-                const cleanContent = content.replace(/^["']|["']$/g, '');
-                
-                // Cache the successful response
-                claudeRateLimit.setCached(cacheKey, cleanContent);
-                
-                return cleanContent;
+            return display;
+        } catch (error) {
+            if (error instanceof PrioritizationSchemaError) {
+                console.log(`At A Glance: AI prioritization rejected, using fallback: ${error.message}`);
             } else {
-                console.error('At A Glance: Claude API error:', message.get_status());
-                return null; // Will trigger fallback logic
+                console.error('At A Glance: AI prioritization error:', error);
             }
-        } catch (error) {
-            console.error('At A Glance: Claude prioritization error:', error);
             return null; // Will trigger fallback logic
         }
     },
@@ -693,7 +1095,22 @@ class AtAGlanceIndicator extends PanelMenu.Button {
             y_align: Clutter.ActorAlign.CENTER
         });
 
-        this.add_child(this.buttonText);
+        // Shown next to the panel text while a meeting with a link is about to start
+        this._panelJoinButton = new St.Button({
+            label: 'Join',
+            style_class: 'at-a-glance-join-button',
+            y_align: Clutter.ActorAlign.CENTER,
+            visible: false
+        });
+        this._panelJoinButton.connect('clicked', () => {
+            this.menu.close();
+            this.joinNextMeeting();
+        });
+
+        const panelBox = new St.BoxLayout();
+        panelBox.add_child(this.buttonText);
+        panelBox.add_child(this._panelJoinButton);
+        this.add_child(panelBox);
         this._showingDetails = false;
 
         // Create AI summary as primary content
@@ -707,6 +1124,38 @@ class AtAGlanceIndicator extends PanelMenu.Button {
         });
         this.menu.addMenuItem(this._aiSummaryItem);
         
+        // One-click join for the current or next meeting with a link
+        this._joinItem = new PopupMenu.PopupMenuItem('🎥 Join meeting');
+        this._joinItem.connect('activate', () => this.joinNextMeeting());
+        this._joinItem.actor.hide();
+        this.menu.addMenuItem(this._joinItem);
+        
+        // Dial-in numbers, meeting ID, passcode and SIP address, each copied on click
+        this._dialInMenu = new PopupMenu.PopupSubMenuMenuItem('📞 Dial-in');
+        this._dialInMenu.actor.hide();
+        this.menu.addMenuItem(this._dialInMenu);
+        
+        // Turns the next meeting's preparation tasks into Todoist tasks, then shows their progress
+        this._prepTasksItem = new PopupMenu.PopupMenuItem('📝 Prep tasks');
+        this._prepTasksItem.connect('activate', () => this._pushPrepTasks());
+        this._prepTasksItem.actor.hide();
+        this.menu.addMenuItem(this._prepTasksItem);
+        
+        // Markdown notes for the current or next meeting, created from the template on first use
+        this._notesItem = new PopupMenu.PopupMenuItem('📝 Start notes');
+        this._notesItem.connect('activate', () => this._startNotes());
+        this._notesItem.actor.hide();
+        this.menu.addMenuItem(this._notesItem);
+        
+        // The current or next meeting's type, which the user can pin for the whole series
+        this._meetingTypeMenu = new PopupMenu.PopupSubMenuMenuItem('🏷️ Meeting type');
+        this._meetingTypeMenu.actor.hide();
+        this.menu.addMenuItem(this._meetingTypeMenu);
+        
+        // Upcoming events grouped by day; rows are rebuilt on every update
+        this._agendaMenu = new PopupMenu.PopupSubMenuMenuItem('📆 Agenda');
+        this.menu.addMenuItem(this._agendaMenu);
+        
         // Create detailed sections
         this.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
         this._detailsLabel = new PopupMenu.PopupMenuItem('📋 Detailed Information:');
@@ -759,6 +1208,18 @@ class AtAGlanceIndicator extends PanelMenu.Button {
         // Initially hide detailed sections
         this._hideDetailedView();
 
+        // Pre-meeting reminders with the preparation checklist
+        this._meetingNotifier = new MeetingNotifier(meetingAssistant);
+
+        this._updating = false;
+        this._updateQueued = false;
+
+        // Refresh as soon as a calendar changes instead of waiting for the next poll
+        DataCollector.onCalendarChanged(() => {
+            console.log('At A Glance: Calendar changed, updating display');
+            this._updateData();
+        });
+
         // Start update cycle
         this._updateData();
         this._updateTimer = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, 60, () => {
@@ -801,9 +1262,28 @@ class AtAGlanceIndicator extends PanelMenu.Button {
         }
     }
 
+    // One refresh at a time: a calendar change or timer tick while a refresh is running
+    // (say, waiting on the AI) queues a single follow-up run instead of a parallel one
     async _updateData() {
+        if (this._updating) {
+            this._updateQueued = true;
+            return;
+        }
+
+        this._updating = true;
         try {
-            console.log('At A Glance: Starting _updateData()');
+            do {
+                this._updateQueued = false;
+                await this._refreshData();
+            } while (this._updateQueued);
+        } finally {
+            this._updating = false;
+        }
+    }
+
+    async _refreshData() {
+        try {
+            console.log('At A Glance: Starting _refreshData()');
             const data = {
                 weather: await DataCollector.getWeather(),
                 calendar: await DataCollector.getCalendarEvents(),
@@ -812,8 +1292,13 @@ class AtAGlanceIndicator extends PanelMenu.Button {
             };
             
             // Add meeting context to calendar events
+            await prepTaskTracker.refreshCompletion();
             console.log('At A Glance: Processing', data.calendar.length, 'calendar events with meeting assistant');
-            data.meetings = meetingAssistant.getMeetingContextForAI(data.calendar);
+            data.meetings = meetingAssistant.getMeetingContextForAI(getAttendedEvents(data.calendar));
+            data.schedule = meetingAssistant.analyzeSchedule(getAttendedEvents(data.calendar));
+            data.travel = await travelTimeEstimator.getNextDeparture(getAttendedEvents(data.calendar));
+            await meetingNotes.refreshIndex();
+            this._meetingNotifier?.update(getAttendedEvents(data.calendar));
             console.log('At A Glance: Meeting context generated:', data.meetings);
             
             // Add adaptive learning context
@@ -831,6 +1316,7 @@ class AtAGlanceIndicator extends PanelMenu.Button {
 
             this._lastData = data;
             await this._updateDisplay(data);
+            claudeRateLimit.flushUsage();
         } catch (error) {
             console.error('At A Glance: Error updating data:', error);
             this.buttonText.set_text('📊 Error');
@@ -847,16 +1333,30 @@ class AtAGlanceIndicator extends PanelMenu.Button {
         
         this._weatherItem.label.set_text(`🌤️ Weather: ${data.weather.temp}°F, ${data.weather.description}`);
         
-        const nextEvent = data.calendar[0];
-        if (nextEvent && data.calendar.length > 0) {
-            const startTime = new Date(nextEvent.start);
+        // A meeting in progress, else the next one, else whatever spans the day
+        const { ongoing, next } = getCalendarSituation(data.calendar);
+        const current = ongoing.find(({ timing }) => !timing.isAllDay && timing.totalDays === 1);
+        if (current) {
+            this._calendarItem.label.set_text(`📅 Now: ${formatOngoingEvent(current)}`);
+            this._calendarItem.actor.show();
+        } else if (next) {
+            const startTime = new Date(next.event.start);
             const timeString = startTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-            this._calendarItem.label.set_text(`📅 Next: ${nextEvent.title} @ ${timeString}`);
+            this._calendarItem.label.set_text(`📅 Next: ${formatEventTitle(next.event)} @ ${timeString}`);
+            this._calendarItem.actor.show();
+        } else if (ongoing.length > 0) {
+            this._calendarItem.label.set_text(`📅 ${formatOngoingEvent(ongoing[0])}`);
             this._calendarItem.actor.show();
         } else {
             this._calendarItem.actor.hide();
         }
         
+        this._updateAgenda(data.calendar);
+        this._updateJoinActions(data.calendar);
+        this._updatePrepTasksItem(data.calendar);
+        this._updateMeetingTypeMenu(getMeetingCandidates(data.calendar)[0]?.event || null);
+        this._updateNotesItem(getMeetingCandidates(data.calendar)[0]?.event || null);
+        
         const urgentTasks = data.tasks.filter(t => t.priority === 'high');
         let taskText = '';
         if (urgentTasks.length > 0) {
@@ -887,6 +1387,13 @@ class AtAGlanceIndicator extends PanelMenu.Button {
             return `⚠️ ${data.system.nixosStatus}`;
         }
         
+        // Time to leave for an in-person event (start minus travel time minus buffer) counts
+        // down by the minute, which a cached AI answer cannot
+        const departureAlert = formatDepartureAlert(data.travel, 15);
+        if (departureAlert) {
+            return departureAlert;
+        }
+        
         // Try AI-driven prioritization for everything else
         try {
             const aiResult = await DataCollector.getClaudePrioritization(data);
@@ -902,21 +1409,39 @@ class AtAGlanceIndicator extends PanelMenu.Button {
     }
 
     _getFallbackDisplay(data) {
-        // Imminent calendar events (starting or within 15 minutes)
-        const nextEvent = data.calendar[0];
-        if (nextEvent && data.calendar.length > 0) {
-            const startTime = new Date(nextEvent.start);
-            const now = new Date();
-            const minutesUntil = Math.floor((startTime - now) / (1000 * 60));
-            const timeString = startTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
-            
+        // Declined, cancelled and free-time events are skipped; all-day events never count
+        // as "starting", they only show up as ongoing
+        const { ongoing, next } = getCalendarSituation(data.calendar);
+        const nextEvent = next ? next.event : null;
+        const nextTitle = nextEvent ? formatEventTitle(nextEvent) : null;
+        // A timed meeting in progress, and anything spanning the day (all-day or multi-day)
+        const current = ongoing.find(({ timing }) => !timing.isAllDay && timing.totalDays === 1);
+        const spanning = ongoing.find(({ timing }) => timing.isAllDay || timing.totalDays > 1);
+        
+        // Imminent calendar events (just started or within 15 minutes)
+        if (current && current.timing.minutesUntilStart > -5) {
+            return `🚨 ${formatEventTitle(current.event)} starting`;
+        }
+        if (next) {
+            const minutesUntil = next.timing.minutesUntilStart;
             if (minutesUntil <= 0) {
-                return `🚨 ${nextEvent.title} starting`;
+                return `🚨 ${nextTitle} starting`;
             } else if (minutesUntil <= 15) {
-                return `🚨 ${nextEvent.title} in ${minutesUntil}min`;
+                return `🚨 ${nextTitle} in ${minutesUntil}min`;
             }
         }
         
+        // A meeting about to end matters as much as one about to start
+        if (current && current.timing.minutesUntilEnd <= 30) {
+            return `⏳ ${formatOngoingEvent(current)}`;
+        }
+        
+        // Double bookings, missing travel time and long runs of meetings
+        const scheduleAlert = formatScheduleAlert(data.schedule);
+        if (scheduleAlert) {
+            return scheduleAlert;
+        }
+        
         // Urgent tasks (P1/P2 priority or overdue)
         const urgentTasks = data.tasks.filter(t => t.priority === 'high');
         if (urgentTasks.length > 0) {
@@ -926,20 +1451,25 @@ class AtAGlanceIndicator extends PanelMenu.Button {
             return `${icon} ${firstUrgent}${suffix}`;
         }
         
-        // Calendar events within next 4 hours (less urgent than tasks)
-        if (nextEvent && data.calendar.length > 0) {
+        // The meeting in progress, then calendar events within next 4 hours (less urgent than tasks)
+        if (current) {
+            return `⏳ ${formatOngoingEvent(current)}`;
+        }
+        if (nextEvent) {
             const startTime = new Date(nextEvent.start);
-            const now = new Date();
-            const minutesUntil = Math.floor((startTime - now) / (1000 * 60));
+            const minutesUntil = next.timing.minutesUntilStart;
             const timeString = startTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
             
             if (minutesUntil <= 240) { // Within 4 hours
-                if (nextEvent.location && nextEvent.location.toLowerCase().includes('virtual')) {
-                    return `🎥 ${nextEvent.title} @ ${timeString}`;
+                if (data.travel && data.travel.event.id === nextEvent.id) {
+                    const leaveTime = new Date(data.travel.leaveAt).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+                    return formatDepartureAlert(data.travel, 30) || `🚗 Leave at ${leaveTime} for ${nextTitle}`;
+                } else if (nextEvent.location && nextEvent.location.toLowerCase().includes('virtual')) {
+                    return `🎥 ${nextTitle} @ ${timeString}`;
                 } else if (nextEvent.location) {
-                    return `📍 ${nextEvent.title} @ ${timeString}`;
+                    return `📍 ${nextTitle} @ ${timeString}`;
                 } else {
-                    return `📅 ${nextEvent.title} @ ${timeString}`;
+                    return `📅 ${nextTitle} @ ${timeString}`;
                 }
             }
         }
@@ -952,8 +1482,15 @@ class AtAGlanceIndicator extends PanelMenu.Button {
             return `📋 ${firstMedium}${suffix}`;
         }
         
+        // Uninterrupted time left today for deep work
+        const focusBlock = data.schedule?.focusBlock;
+        if (focusBlock && focusBlock.minutes >= 60) {
+            const clock = time => new Date(time).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
+            return `🎯 Focus ${clock(focusBlock.start)}-${clock(focusBlock.end)}`;
+        }
+        
         // Calendar events later today (after 4 hours)
-        if (nextEvent && data.calendar.length > 0) {
+        if (nextEvent) {
             const startTime = new Date(nextEvent.start);
             const now = new Date();
             const timeString = startTime.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'});
@@ -961,10 +1498,15 @@ class AtAGlanceIndicator extends PanelMenu.Button {
             // Check if it's today
             const isToday = startTime.toDateString() === now.toDateString();
             if (isToday) {
-                return `📅 ${nextEvent.title} @ ${timeString}`;
+                return `📅 ${nextTitle} @ ${timeString}`;
             }
         }
         
+        // Conferences, trips and other all-day or multi-day events in progress
+        if (spanning) {
+            return `🗓️ ${formatOngoingEvent(spanning)}`;
+        }
+        
         // Weather display (fallback)
         const temp = data.weather.temp;
         const condition = data.weather.condition;
@@ -998,6 +1540,292 @@ class AtAGlanceIndicator extends PanelMenu.Button {
         }
     }
 
+    _updateJoinActions(events) {
+        const meeting = getJoinableMeeting(events);
+        if (meeting) {
+            this._joinItem.label.set_text(`🎥 Join: ${formatEventTitle(meeting.event)}`);
+            this._joinItem.actor.show();
+        } else {
+            this._joinItem.actor.hide();
+        }
+        this._panelJoinButton.visible = meeting !== null && meeting.imminent;
+        
+        this._updateDialInMenu(getDialInMeeting(events));
+    }
+
+    _updateDialInMenu(meeting) {
+        this._dialInMenu.menu.removeAll();
+        if (!meeting) {
+            this._dialInMenu.actor.hide();
+            return;
+        }
+        
+        const { event, dialIn } = meeting;
+        this._dialInMenu.label.set_text(`📞 Dial-in: ${formatEventTitle(event)}`);
+        
+        const copyItems = [];
+        for (const number of dialIn.dialIns.slice(0, 3)) {
+            copyItems.push([`📞 ${number.number}${number.label ? ` · ${number.label}` : ''}`, number.dialString]);
+        }
+        if (dialIn.meetingId) copyItems.push([`🔢 Meeting ID: ${dialIn.meetingId}`, dialIn.meetingId.replace(/\s/g, '')]);
+        if (dialIn.passcode) copyItems.push([`🔑 Passcode: ${dialIn.passcode}`, dialIn.passcode]);
+        if (dialIn.pin) copyItems.push([`🔑 PIN: ${dialIn.pin}`, dialIn.pin.replace(/\s/g, '')]);
+        for (const address of dialIn.sipAddresses) {
+            copyItems.push([`📡 SIP: ${address}`, `sip:${address}`]);
+        }
+        
+        for (const [label, value] of copyItems) {
+            const item = new PopupMenu.PopupMenuItem(label);
+            item.connect('activate', () => {
+                St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, value);
+                Main.notify('At A Glance', `Copied ${value}`);
+            });
+            this._dialInMenu.menu.addMenuItem(item);
+        }
+        this._dialInMenu.actor.show();
+    }
+
+    // The first upcoming meeting with preparation tasks, as a MeetingAssistant context
+    _getPrepTasksMeeting(events) {
+        return meetingAssistant.getUpcomingMeetingsWithContext(getAttendedEvents(events))
+            .find(context => context.hasPreparation) || null;
+    }
+
+    _updatePrepTasksItem(events) {
+        const context = prepTaskTracker.isAvailable() ? this._getPrepTasksMeeting(events) : null;
+        if (!context) {
+            this._prepTasksItem.actor.hide();
+            return;
+        }
+        
+        const title = formatEventTitle(context.event);
+        const pending = prepTaskTracker.getPendingTasks(context).length;
+        const { created, completed } = context.prepProgress;
+        if (pending > 0) {
+            const count = `${pending} prep task${pending === 1 ? '' : 's'}`;
+            this._prepTasksItem.label.set_text(`📝 Add ${count} to Todoist: ${title}`);
+        } else {
+            const icon = completed === created ? '✅' : '📝';
+            this._prepTasksItem.label.set_text(`${icon} Prep ${completed}/${created} done: ${title}`);
+        }
+        this._prepTasksItem.actor.show();
+    }
+
+    _updateNotesItem(event) {
+        if (!event) {
+            this._notesItem.actor.hide();
+            return;
+        }
+        
+        const verb = meetingNotes.findNote(event) ? 'Open' : 'Start';
+        this._notesItem.label.set_text(`📝 ${verb} notes: ${formatEventTitle(event)}`);
+        this._notesItem.actor.show();
+    }
+
+    _startNotes() {
+        const event = this._lastData ? getMeetingCandidates(this._lastData.calendar)[0]?.event : null;
+        if (!event) return;
+        
+        adaptiveLearning.recordInteraction('click', { contentType: 'calendar', context: 'meeting_notes' });
+        try {
+            const { path } = meetingNotes.startNotes(event);
+            meetingNotes.openNote(path);
+            this._updateNotesItem(event);
+        } catch (e) {
+            console.error('At A Glance: Could not start meeting notes:', e);
+            Main.notify('At A Glance', `Could not write notes to ${meetingNotes.getDirectory()}`);
+        }
+    }
+
+    _openNote(path) {
+        this.menu.close();
+        try {
+            meetingNotes.openNote(path);
+        } catch (e) {
+            Main.notify('At A Glance', 'Could not open note');
+        }
+    }
+
+    _updateMeetingTypeMenu(event) {
+        this._meetingTypeMenu.menu.removeAll();
+        if (!event) {
+            this._meetingTypeMenu.actor.hide();
+            return;
+        }
+        
+        const { type, source } = meetingAssistant.classifier.classify(event);
+        const override = source === 'override' ? type : null;
+        this._meetingTypeMenu.label.set_text(`🏷️ ${MEETING_TYPE_LABELS[type]}: ${formatEventTitle(event)}`);
+        
+        // "Automatic" shows what the classifier would pick without the override
+        const detected = override ? meetingAssistant.classifier.detect(event).type : type;
+        const choices = [[null, `Automatic (${MEETING_TYPE_LABELS[detected]})`], ...MEETING_TYPES.map(choice => [choice, MEETING_TYPE_LABELS[choice]])];
+        for (const [choice, label] of choices) {
+            const item = new PopupMenu.PopupMenuItem(label);
+            item.setOrnament(choice === override ? PopupMenu.Ornament.CHECK : PopupMenu.Ornament.NONE);
+            item.connect('activate', () => {
+                adaptiveLearning.recordInteraction('click', { contentType: 'calendar', context: 'meeting_type_override' });
+                meetingAssistant.setMeetingTypeOverride(event, choice);
+                this._updateMeetingTypeMenu(event);
+                if (this._lastData) this._updatePrepTasksItem(this._lastData.calendar);
+            });
+            this._meetingTypeMenu.menu.addMenuItem(item);
+        }
+        this._meetingTypeMenu.actor.show();
+    }
+
+    async _pushPrepTasks() {
+        const context = this._lastData ? this._getPrepTasksMeeting(this._lastData.calendar) : null;
+        if (!context) return;
+        
+        if (prepTaskTracker.getPendingTasks(context).length === 0) {
+            Gio.AppInfo.launch_default_for_uri('https://todoist.com/app', null);
+            return;
+        }
+        
+        adaptiveLearning.recordInteraction('click', { contentType: 'tasks', context: 'meeting_prep_tasks' });
+        const created = await prepTaskTracker.pushPreparationTasks(context);
+        if (created > 0) {
+            Main.notify('At A Glance', `Added ${created} prep task${created === 1 ? '' : 's'} for ${formatEventTitle(context.event)}`);
+        } else {
+            Main.notify('At A Glance', 'Could not add prep tasks to Todoist');
+        }
+        this._updatePrepTasksItem(this._lastData.calendar);
+    }
+
+    // Opens the best link of the current or next meeting (also bound to the join-meeting-shortcut key)
+    joinNextMeeting() {
+        const meeting = this._lastData ? getJoinableMeeting(this._lastData.calendar) : null;
+        if (!meeting) {
+            Main.notify('At A Glance', 'No upcoming meeting with a link');
+            return;
+        }
+        
+        adaptiveLearning.recordInteraction('click', { contentType: 'calendar', context: 'join_meeting' });
+        const uri = meetingAssistant.getJoinUri(meeting.link);
+        console.log(`At A Glance: Joining "${meeting.event.title}" via ${uri.split(':')[0]}`);
+        try {
+            Gio.AppInfo.launch_default_for_uri(uri, null);
+        } catch (e) {
+            Main.notify('At A Glance', `Could not open meeting link for ${meeting.event.title}`);
+        }
+    }
+
+    _updateAgenda(events) {
+        this._agendaMenu.menu.removeAll();
+        
+        const sections = groupAgendaEvents(events);
+        if (sections.length === 0) {
+            const emptyItem = new PopupMenu.PopupMenuItem('No upcoming events');
+            emptyItem.setSensitive(false);
+            this._agendaMenu.menu.addMenuItem(emptyItem);
+        }
+        
+        for (const section of sections) {
+            this._agendaMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem(section.label));
+            for (const entry of section.events) {
+                this._agendaMenu.menu.addMenuItem(this._createAgendaRow(entry, section.label));
+            }
+        }
+        
+        // Notes of past meetings, newest first
+        const recentNotes = meetingNotes.getRecentNotes();
+        if (recentNotes.length > 0) {
+            this._agendaMenu.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem('Recent notes'));
+            for (const { path, meta } of recentNotes) {
+                const date = new Date(meta.date).toLocaleDateString([], {month: 'short', day: 'numeric'});
+                const item = new PopupMenu.PopupMenuItem(`📝 ${date} · ${meta.title}`);
+                item.connect('activate', () => this._openNote(path));
+                this._agendaMenu.menu.addMenuItem(item);
+            }
+        }
+    }
+
+    // One agenda row: calendar colour, time, title, location, a meeting-link marker and a
+    // button for the meeting's notes (or the last notes of its series)
+    _createAgendaRow({ event, timing }, sectionLabel) {
+        const item = new PopupMenu.PopupBaseMenuItem();
+        const color = /^#[0-9a-f]{3,8}$/i.test(event.calendarColor || '') ? event.calendarColor : '#3584e4';
+        
+        item.add_child(new St.Label({
+            text: '●',
+            style: `color: ${color};`,
+            y_align: Clutter.ActorAlign.CENTER
+        }));
+        item.add_child(new St.Label({
+            text: this._formatAgendaTime(event, timing, sectionLabel),
+            style_class: 'agenda-time',
+            y_align: Clutter.ActorAlign.CENTER
+        }));
+        item.add_child(new St.Label({
+            text: formatEventTitle(event),
+            x_expand: true,
+            y_align: Clutter.ActorAlign.CENTER
+        }));
+        
+        // Meeting URLs in the location field are covered by the 🎥 marker
+        if (event.location && !/^https?:\/\//i.test(event.location.trim())) {
+            const location = event.location.length > 30 ? `${event.location.slice(0, 29)}…` : event.location;
+            item.add_child(new St.Label({
+                text: `📍 ${location}`,
+                style_class: 'agenda-location',
+                y_align: Clutter.ActorAlign.CENTER
+            }));
+        }
+        if (meetingAssistant.extractMeetingLinks(event).length > 0) {
+            item.add_child(new St.Label({ text: '🎥', y_align: Clutter.ActorAlign.CENTER }));
+        }
+        const notePath = meetingNotes.findNote(event) || meetingNotes.findPreviousNote(event)?.path;
+        if (notePath) {
+            const notesButton = new St.Button({
+                label: '📝',
+                style_class: 'agenda-notes-button',
+                y_align: Clutter.ActorAlign.CENTER
+            });
+            notesButton.connect('clicked', () => this._openNote(notePath));
+            item.add_child(notesButton);
+        }
+        
+        item.connect('activate', () => {
+            adaptiveLearning.recordInteraction('click', { contentType: 'calendar', context: 'agenda' });
+            this._openEventInCalendar(event);
+        });
+        return item;
+    }
+
+    _formatAgendaTime(event, timing, sectionLabel) {
+        const start = new Date(event.start);
+        let day = '';
+        if (sectionLabel === 'This week') {
+            day = `${start.toLocaleDateString([], {weekday: 'short'})} `;
+        } else if (sectionLabel === 'Later') {
+            day = `${start.toLocaleDateString([], {month: 'short', day: 'numeric'})} `;
+        }
+        
+        if (timing.state === 'ongoing' && timing.totalDays > 1) {
+            return `Day ${timing.dayNumber}/${timing.totalDays}`;
+        }
+        if (timing.isAllDay) {
+            return `${day}All day`;
+        }
+        return `${day}${start.toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}`;
+    }
+
+    // Opens GNOME Calendar on the event itself when it is stored in Evolution Data Server,
+    // otherwise on the event's day
+    _openEventInCalendar(event) {
+        const eventId = getGnomeCalendarEventId(event);
+        const start = new Date(event.start);
+        const date = `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}-${String(start.getDate()).padStart(2, '0')}`;
+        const argv = eventId ? ['gnome-calendar', '--uuid', eventId] : ['gnome-calendar', '--date', date];
+        
+        try {
+            Gio.Subprocess.new(argv, Gio.SubprocessFlags.NONE);
+        } catch (e) {
+            Main.notify('At A Glance', 'Could not open calendar app');
+        }
+    }
+
     _handleTasksClick() {
         const urgentTasks = this._lastData?.tasks?.filter(t => t.priority === 'high') || [];
         
@@ -1025,10 +1853,15 @@ class AtAGlanceIndicator extends PanelMenu.Button {
     }
 
     destroy() {
+        this._updateQueued = false;
         if (this._updateTimer) {
             GLib.source_remove(this._updateTimer);
             this._updateTimer = null;
         }
+        if (this._meetingNotifier) {
+            this._meetingNotifier.destroy();
+            this._meetingNotifier = null;
+        }
         if (DataCollector.calendarCollector) {
             DataCollector.calendarCollector.destroy();
             DataCollector.calendarCollector = null;
@@ -1043,10 +1876,24 @@ export default class AtAGlanceExtension extends Extension {
         console.log('At A Glance: Extension enabled');
         this._indicator = new AtAGlanceIndicator();
         Main.panel.addToStatusArea('at-a-glance-indicator', this._indicator);
+
+        this._settings = this.getSettings();
+        claudeRateLimit.setSettings(this._settings);
+        Main.wm.addKeybinding(
+            'join-meeting-shortcut',
+            this._settings,
+            Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+            () => this._indicator.joinNextMeeting()
+        );
     }
 
     disable() {
         console.log('At A Glance: Extension disabled');
+        Main.wm.removeKeybinding('join-meeting-shortcut');
+        claudeRateLimit.flushUsage();
+        claudeRateLimit.setSettings(null);
+        this._settings = null;
         if (this._indicator) {
             this._indicator.destroy();
             this._indicator = null;
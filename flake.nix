@@ -21,11 +21,30 @@
           "prefs.js"
           "stylesheet.css"
           "calendar-integration.js"
+          "caldav-client.js"
+          "eds-calendar-client.js"
+          "event-filter.js"
+          "event-merge.js"
+          "ics-feeds.js"
+          "ics-parser.js"
+          "ics-recurrence.js"
+          "ics-timezone.js"
           "meeting-assistant.js"
+          "meeting-classifier.js"
+          "meeting-notifications.js"
+          "meeting-prep-tasks.js"
+          "meeting-notes.js"
+          "travel-time.js"
           "adaptive-learning.js"
+          "llm-providers.js"
+          "prioritization-schema.js"
+          "response-cache.js"
+          "json-store.js"
+          "ai-usage.js"
           "todoist-integration.js"
           "email-integration.js"
           "config.json"
+          "schemas/org.gnome.shell.extensions.at-a-glance.gschema.xml"
         ];
 
         gnome-at-a-glance = pkgs.stdenv.mkDerivation rec {
@@ -48,7 +67,6 @@
             libsoup_2_4
             json-glib
             libsecret
-            sqlite
           ];
 
           # No build phase needed for GNOME shell extensions
@@ -67,12 +85,34 @@
             cp prefs.js $out/share/gnome-shell/extensions/${extensionUuid}/
             cp stylesheet.css $out/share/gnome-shell/extensions/${extensionUuid}/
             cp calendar-integration.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp caldav-client.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp eds-calendar-client.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp event-filter.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp event-merge.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp ics-feeds.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp ics-parser.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp ics-recurrence.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp ics-timezone.js $out/share/gnome-shell/extensions/${extensionUuid}/
             cp meeting-assistant.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp meeting-classifier.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp meeting-notifications.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp meeting-prep-tasks.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp meeting-notes.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp travel-time.js $out/share/gnome-shell/extensions/${extensionUuid}/
             cp adaptive-learning.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp llm-providers.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp prioritization-schema.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp response-cache.js $out/share/gnome-shell/extensions/${extensionUuid}/
+            cp ai-usage.js $out/share/gnome-shell/extensions/${extensionUuid}/
             cp todoist-integration.js $out/share/gnome-shell/extensions/${extensionUuid}/
             cp email-integration.js $out/share/gnome-shell/extensions/${extensionUuid}/
             cp config.json $out/share/gnome-shell/extensions/${extensionUuid}/config.json.example
             
+            # Settings schema (keyboard shortcuts, AI pause)
+            mkdir -p $out/share/gnome-shell/extensions/${extensionUuid}/schemas
+            cp schemas/*.gschema.xml $out/share/gnome-shell/extensions/${extensionUuid}/schemas/
+            ${pkgs.glib.dev}/bin/glib-compile-schemas $out/share/gnome-shell/extensions/${extensionUuid}/schemas
+            
             # Copy README for reference
             cp README.md $out/share/gnome-shell/extensions/${extensionUuid}/
             
@@ -139,7 +179,6 @@
             libsoup_2_4
             json-glib
             libsecret
-            sqlite
             
             # Development tools
             jq
@@ -148,6 +187,7 @@
             
             # Extension development tools
             gnome-extensions-cli
+            radicale # local CalDAV server for test-caldav.js
             
             # API key management
             libsecret # provides secret-tool
@@ -249,7 +289,6 @@
                 pkgs.libsoup_2_4
                 pkgs.json-glib
                 pkgs.libsecret
-                pkgs.sqlite
               ];
 
               # Ensure required services are enabled
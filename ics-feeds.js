@@ -0,0 +1,156 @@
+// ics-feeds.js - Remote ICS/webcal subscriptions for GNOME At A Glance
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+
+const DEFAULT_REFRESH_MINUTES = 60;
+
+// Reads feed entries from the "calendar.ics_feeds" config array, skipping ones without a URL
+export function normalizeFeedConfig(feeds) {
+    return (feeds || [])
+        .filter(feed => feed && typeof feed.url === 'string' && feed.url.trim().length > 0)
+        .map(feed => ({
+            url: feed.url.trim().replace(/^webcals?:\/\//i, 'https://'),
+            name: feed.name || feed.url.trim(),
+            refreshMinutes: Math.max(1, feed.refresh_minutes || DEFAULT_REFRESH_MINUTES),
+            color: feed.color || null,
+            category: feed.category || null
+        }));
+}
+
+export class ICSFeedFetcher {
+    constructor() {
+        this.cacheFile = GLib.get_home_dir() + '/.config/at-a-glance/ics-feed-cache.json';
+        this.session = new Soup.Session({ timeout: 30 });
+        this.entries = this.loadCache(); // URL -> { content, etag, lastModified, fetchedAt }
+    }
+
+    loadCache() {
+        try {
+            const file = Gio.File.new_for_path(this.cacheFile);
+            if (file.query_exists(null)) {
+                const [success, contents] = file.load_contents(null);
+                if (success) {
+                    return new Map(Object.entries(JSON.parse(new TextDecoder().decode(contents))));
+                }
+            }
+        } catch (error) {
+            console.log('At A Glance: Could not load ICS feed cache:', error);
+        }
+        return new Map();
+    }
+
+    saveCache() {
+        try {
+            const dir = Gio.File.new_for_path(GLib.path_get_dirname(this.cacheFile));
+            if (!dir.query_exists(null)) {
+                dir.make_directory_with_parents(null);
+            }
+
+            Gio.File.new_for_path(this.cacheFile).replace_contents(
+                JSON.stringify(Object.fromEntries(this.entries)),
+                null, false,
+                Gio.FileCreateFlags.NONE,
+                null
+            );
+        } catch (error) {
+            console.error('At A Glance: Error saving ICS feed cache:', error);
+        }
+    }
+
+    // Milliseconds until the feed is due for another request (0 when due now)
+    getTimeUntilRefresh(feed) {
+        const entry = this.entries.get(feed.url);
+        if (!entry) return 0;
+        return Math.max(0, entry.fetchedAt + feed.refreshMinutes * 60 * 1000 - Date.now());
+    }
+
+    /**
+     * Returns { content, changed } for the feed. The network is only used once the feed's
+     * refresh interval has passed, and then with ETag/Last-Modified validators; on errors
+     * the last good copy is returned so a flaky feed does not empty the calendar.
+     */
+    async fetch(feed) {
+        const entry = this.entries.get(feed.url);
+        if (entry && this.getTimeUntilRefresh(feed) > 0) {
+            return { content: entry.content, changed: false };
+        }
+
+        try {
+            const message = Soup.Message.new('GET', feed.url);
+            if (!message) throw new Error(`Invalid feed URL: ${feed.url}`);
+
+            const headers = message.get_request_headers();
+            if (entry && entry.etag) headers.append('If-None-Match', entry.etag);
+            if (entry && entry.lastModified) headers.append('If-Modified-Since', entry.lastModified);
+
+            const bytes = await this._sendAndRead(message);
+            const status = message.get_status();
+
+            if (status === 304 && entry) {
+                console.log(`At A Glance: ICS feed "${feed.name}" not modified`);
+                entry.fetchedAt = Date.now();
+                this.saveCache();
+                return { content: entry.content, changed: false };
+            }
+
+            if (status !== 200) {
+                throw new Error(`HTTP ${status}`);
+            }
+
+            const content = new TextDecoder('utf-8').decode(bytes.get_data());
+            if (!content.includes('BEGIN:VCALENDAR')) {
+                throw new Error('Response is not an iCalendar document');
+            }
+
+            const responseHeaders = message.get_response_headers();
+            this.entries.set(feed.url, {
+                content: content,
+                etag: responseHeaders.get_one('ETag'),
+                lastModified: responseHeaders.get_one('Last-Modified'),
+                fetchedAt: Date.now()
+            });
+            this.saveCache();
+
+            console.log(`At A Glance: Fetched ICS feed "${feed.name}" (${content.length} bytes)`);
+            return { content: content, changed: !entry || entry.content !== content };
+        } catch (error) {
+            console.log(`At A Glance: ICS feed "${feed.name}" failed:`, error);
+            if (entry) {
+                // Back off for a full interval instead of retrying on every collection
+                entry.fetchedAt = Date.now();
+                return { content: entry.content, changed: false };
+            }
+            return { content: null, changed: false };
+        }
+    }
+
+    _sendAndRead(message) {
+        return new Promise((resolve, reject) => {
+            this.session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                try {
+                    resolve(session.send_and_read_finish(result));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    // Drops cached copies of feeds that are no longer configured
+    prune(feeds) {
+        const urls = new Set(feeds.map(feed => feed.url));
+        let pruned = false;
+        for (const url of [...this.entries.keys()]) {
+            if (!urls.has(url)) {
+                this.entries.delete(url);
+                pruned = true;
+            }
+        }
+        if (pruned) this.saveCache();
+    }
+
+    destroy() {
+        this.session.abort();
+    }
+}
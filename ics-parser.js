@@ -0,0 +1,176 @@
+// ics-parser.js - RFC 5545 content-line parsing for GNOME At A Glance
+//
+// Turns iCalendar text into a tree of components ({ name, properties, components })
+// and leaves the meaning of each property to the caller.
+
+// Properties whose values are TEXT and therefore use backslash escapes
+const TEXT_PROPERTIES = new Set([
+    'SUMMARY', 'DESCRIPTION', 'LOCATION', 'COMMENT', 'CATEGORIES', 'RESOURCES',
+    'CONTACT', 'RELATED-TO', 'UID', 'TZID', 'TZNAME', 'X-ALT-DESC'
+]);
+
+// Unfolds continuation lines (CRLF or LF followed by a space or tab) and splits into lines
+export function unfoldICSLines(text) {
+    return (text || '')
+        .replace(/\r?\n[ \t]/g, '')
+        .split(/\r?\n|\r/)
+        .filter(line => line.trim().length > 0);
+}
+
+// Splits on a separator that is not inside a double-quoted string
+function splitOutsideQuotes(text, separator) {
+    const parts = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+            current += char;
+        } else if (char === separator && !inQuotes) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+// Parameter values may be quoted and use RFC 6868 caret escapes (^n, ^', ^^)
+function decodeParamValue(value) {
+    return value
+        .replace(/^"|"$/g, '')
+        .replace(/\^(\^|n|')/g, (match, char) => char === 'n' ? '\n' : char === "'" ? '"' : '^');
+}
+
+/**
+ * Parses one unfolded content line: NAME *(;PARAM=VALUE[,VALUE]) : VALUE
+ * Returns { name, params, value } with upper-cased names and params as arrays of values.
+ */
+export function parseContentLine(line) {
+    let colonIndex = -1;
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colonIndex = i;
+            break;
+        }
+    }
+    if (colonIndex <= 0) return null;
+
+    const [name, ...paramParts] = splitOutsideQuotes(line.substring(0, colonIndex), ';');
+    const params = {};
+    for (const paramPart of paramParts) {
+        const equalsIndex = paramPart.indexOf('=');
+        if (equalsIndex <= 0) continue;
+        const paramName = paramPart.substring(0, equalsIndex).trim().toUpperCase();
+        params[paramName] = splitOutsideQuotes(paramPart.substring(equalsIndex + 1), ',')
+            .map(decodeParamValue);
+    }
+
+    const propertyName = name.trim().toUpperCase();
+    const rawValue = line.substring(colonIndex + 1);
+
+    return {
+        name: propertyName,
+        params: params,
+        value: TEXT_PROPERTIES.has(propertyName) ? rawValue : rawValue.trim()
+    };
+}
+
+// Splits a multi-valued TEXT property on commas that are not escaped
+export function splitICSList(value) {
+    const parts = [];
+    let current = '';
+
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && i + 1 < value.length) {
+            current += value[i] + value[i + 1];
+            i++;
+        } else if (value[i] === ',') {
+            parts.push(current);
+            current = '';
+        } else {
+            current += value[i];
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+export function unescapeICSText(value) {
+    return (value || '').replace(/\\([\\;,nN])/g, (match, char) =>
+        (char === 'n' || char === 'N') ? '\n' : char);
+}
+
+/**
+ * Parses iCalendar text into a component tree. Unknown components are kept so
+ * callers can ignore nested blocks such as VALARM without misreading them.
+ */
+export function parseICSComponents(text) {
+    const root = { name: 'ROOT', properties: [], components: [] };
+    const stack = [root];
+
+    for (const line of unfoldICSLines(text)) {
+        const property = parseContentLine(line);
+        if (!property) continue;
+
+        const current = stack[stack.length - 1];
+
+        if (property.name === 'BEGIN') {
+            const component = { name: property.value.toUpperCase(), properties: [], components: [] };
+            current.components.push(component);
+            stack.push(component);
+        } else if (property.name === 'END') {
+            // Tolerate mismatched END lines by unwinding to the matching BEGIN
+            const name = property.value.toUpperCase();
+            const index = stack.map(c => c.name).lastIndexOf(name);
+            if (index > 0) stack.length = index;
+        } else {
+            current.properties.push(property);
+        }
+    }
+
+    return root;
+}
+
+// Finds all components with the given name anywhere below the root
+export function findComponents(component, name) {
+    const found = [];
+    for (const child of component.components) {
+        if (child.name === name) {
+            found.push(child);
+        } else {
+            found.push(...findComponents(child, name));
+        }
+    }
+    return found;
+}
+
+export function getProperty(component, name) {
+    return component.properties.find(property => property.name === name) || null;
+}
+
+export function getProperties(component, name) {
+    return component.properties.filter(property => property.name === name);
+}
+
+export function getParam(property, name) {
+    const values = property && property.params[name];
+    return values && values.length > 0 ? values[0] : null;
+}
+
+// Parses a DURATION value such as "PT1H30M", "P1D" or "-P1W" into milliseconds
+export function parseICSDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec((value || '').trim());
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const milliseconds = ((parseInt(weeks || '0') * 7 + parseInt(days || '0')) * 24 * 60 * 60 +
+        parseInt(hours || '0') * 60 * 60 + parseInt(minutes || '0') * 60 + parseInt(seconds || '0')) * 1000;
+
+    return sign === '-' ? -milliseconds : milliseconds;
+}
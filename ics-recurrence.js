@@ -0,0 +1,501 @@
+// ics-recurrence.js - RFC 5545 recurrence rule expansion for GNOME At A Glance
+//
+// All calculations are done on "wall times": Date objects whose UTC fields hold the
+// local clock reading of the event (year, month, day, hour, ...). This keeps the
+// rule arithmetic free of DST jumps; callers convert wall times to real instants.
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['YEARLY', 'MONTHLY', 'WEEKLY', 'DAILY', 'HOURLY', 'MINUTELY', 'SECONDLY'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fixed period lengths used to skip ahead to the requested range
+const PERIOD_MS = {
+    'WEEKLY': 7 * DAY_MS,
+    'DAILY': DAY_MS,
+    'HOURLY': 60 * 60 * 1000,
+    'MINUTELY': 60 * 1000,
+    'SECONDLY': 1000
+};
+
+function wallTime(year, month, day, hour = 0, minute = 0, second = 0) {
+    return new Date(Date.UTC(year, month, day, hour, minute, second));
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+}
+
+function daysOfMonth(year, month) {
+    const days = [];
+    const total = daysInMonth(year, month);
+    for (let day = 1; day <= total; day++) {
+        days.push(wallTime(year, month, day));
+    }
+    return days;
+}
+
+function daysOfYear(year) {
+    const days = [];
+    for (let month = 0; month < 12; month++) {
+        days.push(...daysOfMonth(year, month));
+    }
+    return days;
+}
+
+function startOfDay(date) {
+    return wallTime(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function sameDay(a, b) {
+    return a.getUTCFullYear() === b.getUTCFullYear() &&
+           a.getUTCMonth() === b.getUTCMonth() &&
+           a.getUTCDate() === b.getUTCDate();
+}
+
+function frequencyRank(freq) {
+    return FREQUENCIES.indexOf(freq);
+}
+
+// Parses an ICS DATE (YYYYMMDD) or DATE-TIME (YYYYMMDDTHHMMSS[Z]) value into a wall time
+export function parseICSDateParts(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec((value || '').trim());
+    if (!match) return null;
+
+    return {
+        wallTime: wallTime(
+            parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]),
+            parseInt(match[4] || '0'), parseInt(match[5] || '0'), parseInt(match[6] || '0')
+        ),
+        isDate: match[4] === undefined,
+        isUTC: match[7] !== undefined
+    };
+}
+
+export class RecurrenceExpander {
+    constructor() {
+        this.maxInstances = 500; // Per recurring event, inside the requested range
+        this.maxIterations = 10000; // Periods examined per rule before giving up
+    }
+
+    parseRule(value) {
+        const rule = {
+            freq: null,
+            interval: 1,
+            count: null,
+            until: null,
+            wkst: 1, // Monday
+            byDay: [],
+            byMonth: [],
+            byMonthDay: [],
+            byYearDay: [],
+            byWeekNo: [],
+            byHour: [],
+            byMinute: [],
+            bySecond: [],
+            bySetPos: []
+        };
+
+        const toInts = (list) => list.map(v => parseInt(v)).filter(n => !isNaN(n) && n !== 0);
+        const toIntsWithZero = (list) => list.map(v => parseInt(v)).filter(n => !isNaN(n));
+
+        for (const part of (value || '').split(';')) {
+            const [name, rawValue = ''] = part.split('=');
+            const list = rawValue.split(',').filter(v => v.length > 0);
+
+            switch (name.trim().toUpperCase()) {
+                case 'FREQ':
+                    rule.freq = rawValue.toUpperCase();
+                    break;
+                case 'INTERVAL':
+                    rule.interval = Math.max(1, parseInt(rawValue) || 1);
+                    break;
+                case 'COUNT':
+                    rule.count = Math.max(0, parseInt(rawValue) || 0);
+                    break;
+                case 'UNTIL':
+                    rule.until = parseICSDateParts(rawValue);
+                    break;
+                case 'WKST':
+                    rule.wkst = Math.max(0, WEEKDAYS.indexOf(rawValue.toUpperCase()));
+                    break;
+                case 'BYDAY':
+                    rule.byDay = list.map(item => {
+                        const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/i.exec(item.trim());
+                        return match ? {
+                            weekday: WEEKDAYS.indexOf(match[2].toUpperCase()),
+                            ordinal: match[1] ? parseInt(match[1]) : 0
+                        } : null;
+                    }).filter(Boolean);
+                    break;
+                case 'BYMONTH':
+                    rule.byMonth = toInts(list).map(month => month - 1);
+                    break;
+                case 'BYMONTHDAY':
+                    rule.byMonthDay = toInts(list);
+                    break;
+                case 'BYYEARDAY':
+                    rule.byYearDay = toInts(list);
+                    break;
+                case 'BYWEEKNO':
+                    rule.byWeekNo = toInts(list);
+                    break;
+                case 'BYHOUR':
+                    rule.byHour = toIntsWithZero(list);
+                    break;
+                case 'BYMINUTE':
+                    rule.byMinute = toIntsWithZero(list);
+                    break;
+                case 'BYSECOND':
+                    rule.bySecond = toIntsWithZero(list);
+                    break;
+                case 'BYSETPOS':
+                    rule.bySetPos = toInts(list);
+                    break;
+            }
+        }
+
+        if (!FREQUENCIES.includes(rule.freq)) {
+            console.log(`At A Glance: Unsupported recurrence rule: ${value}`);
+            return null;
+        }
+
+        return rule;
+    }
+
+    /**
+     * Expands a recurrence set into wall-time occurrence starts.
+     *
+     * recurrence: { start, rrules, rdates, exdates } where start is the DTSTART wall time,
+     * rrules are parsed rules and rdates/exdates are { wallTime, isDate } in DTSTART's zone.
+     * toInstant converts a wall time into a real Date and is used to test the range.
+     */
+    expand(recurrence, rangeStart, rangeEnd, toInstant) {
+        const occurrences = new Map();
+        const inRange = (wall) => {
+            const instant = toInstant(wall);
+            return instant >= rangeStart && instant < rangeEnd;
+        };
+
+        // DTSTART is always the first instance of the set
+        if (inRange(recurrence.start)) {
+            occurrences.set(recurrence.start.getTime(), recurrence.start);
+        }
+
+        for (const rule of recurrence.rrules || []) {
+            for (const wall of this._expandRule(rule, recurrence.start, rangeStart, rangeEnd, toInstant)) {
+                occurrences.set(wall.getTime(), wall);
+            }
+        }
+
+        for (const rdate of recurrence.rdates || []) {
+            const wall = rdate.isDate
+                ? wallTime(rdate.wallTime.getUTCFullYear(), rdate.wallTime.getUTCMonth(), rdate.wallTime.getUTCDate(),
+                    recurrence.start.getUTCHours(), recurrence.start.getUTCMinutes(), recurrence.start.getUTCSeconds())
+                : rdate.wallTime;
+            if (inRange(wall)) {
+                occurrences.set(wall.getTime(), wall);
+            }
+        }
+
+        const exdates = recurrence.exdates || [];
+        return [...occurrences.values()]
+            .filter(wall => !exdates.some(exdate => exdate.isDate
+                ? sameDay(exdate.wallTime, wall)
+                : exdate.wallTime.getTime() === wall.getTime()))
+            .sort((a, b) => a - b)
+            .slice(0, this.maxInstances);
+    }
+
+    _expandRule(rule, dtstart, rangeStart, rangeEnd, toInstant) {
+        const results = [];
+        let count = 0;
+
+        // Without COUNT the periods before the range cannot influence the result
+        const firstPeriod = rule.count === null ? this._periodsBefore(rule, dtstart, rangeStart) : 0;
+
+        for (let index = firstPeriod; index < firstPeriod + this.maxIterations; index++) {
+            const period = this._getPeriod(rule, dtstart, index);
+            if (!period) break;
+            if (toInstant(period.start) >= rangeEnd) break;
+
+            for (const wall of this._getPeriodCandidates(rule, dtstart, period)) {
+                if (wall < dtstart) continue;
+                if (this._isAfterUntil(rule, wall, toInstant)) return results;
+
+                const instant = toInstant(wall);
+                if (instant >= rangeEnd) return results;
+
+                count++;
+                if (instant >= rangeStart) {
+                    results.push(wall);
+                    if (results.length >= this.maxInstances) return results;
+                }
+                if (rule.count !== null && count >= rule.count) return results;
+            }
+        }
+
+        return results;
+    }
+
+    _isAfterUntil(rule, wall, toInstant) {
+        if (!rule.until) return false;
+        if (rule.until.isUTC) {
+            return toInstant(wall) > rule.until.wallTime;
+        }
+        if (rule.until.isDate) {
+            return startOfDay(wall) > rule.until.wallTime;
+        }
+        return wall > rule.until.wallTime;
+    }
+
+    _periodsBefore(rule, dtstart, rangeStart) {
+        // rangeStart is a real instant; a two period margin absorbs any UTC offset
+        const distance = rangeStart.getTime() - dtstart.getTime();
+        if (distance <= 0) return 0;
+
+        let periods;
+        if (rule.freq === 'YEARLY') {
+            periods = Math.floor(distance / (366 * DAY_MS) / rule.interval);
+        } else if (rule.freq === 'MONTHLY') {
+            periods = Math.floor(distance / (31 * DAY_MS) / rule.interval);
+        } else {
+            periods = Math.floor(distance / (PERIOD_MS[rule.freq] * rule.interval));
+        }
+        return Math.max(0, periods - 2);
+    }
+
+    _getPeriod(rule, dtstart, index) {
+        const step = index * rule.interval;
+
+        switch (rule.freq) {
+            case 'YEARLY': {
+                const year = dtstart.getUTCFullYear() + step;
+                return year > 9999 ? null : { start: wallTime(year, 0, 1), year };
+            }
+            case 'MONTHLY': {
+                const months = dtstart.getUTCFullYear() * 12 + dtstart.getUTCMonth() + step;
+                const year = Math.floor(months / 12);
+                return year > 9999 ? null : { start: wallTime(year, months % 12, 1), year, month: months % 12 };
+            }
+            case 'WEEKLY': {
+                const offset = (dtstart.getUTCDay() - rule.wkst + 7) % 7;
+                const weekStart = new Date(startOfDay(dtstart).getTime() + (step * 7 - offset) * DAY_MS);
+                return { start: weekStart };
+            }
+            case 'DAILY':
+                return { start: new Date(startOfDay(dtstart).getTime() + step * DAY_MS) };
+            default:
+                return { start: new Date(dtstart.getTime() + step * PERIOD_MS[rule.freq]) };
+        }
+    }
+
+    _getPeriodCandidates(rule, dtstart, period) {
+        let candidates;
+
+        if (frequencyRank(rule.freq) <= frequencyRank('DAILY')) {
+            const days = this._getPeriodDays(rule, dtstart, period);
+            candidates = [];
+            for (const day of days) {
+                for (const time of this._getTimes(rule, dtstart)) {
+                    candidates.push(wallTime(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(),
+                        time.hour, time.minute, time.second));
+                }
+            }
+        } else {
+            candidates = this._getSubDailyCandidates(rule, period.start);
+        }
+
+        // Remove duplicates produced by overlapping BYxxx parts, then order chronologically
+        const unique = [...new Map(candidates.map(c => [c.getTime(), c])).values()].sort((a, b) => a - b);
+
+        if (rule.bySetPos.length === 0) return unique;
+
+        return rule.bySetPos
+            .map(pos => unique[pos > 0 ? pos - 1 : unique.length + pos])
+            .filter(Boolean)
+            .sort((a, b) => a - b);
+    }
+
+    _getPeriodDays(rule, dtstart, period) {
+        switch (rule.freq) {
+            case 'YEARLY':
+                return this._getYearDays(rule, dtstart, period.year);
+            case 'MONTHLY':
+                if (rule.byMonth.length > 0 && !rule.byMonth.includes(period.month)) return [];
+                return this._getMonthDays(rule, dtstart, period.year, period.month);
+            case 'WEEKLY': {
+                const weekdays = rule.byDay.length > 0
+                    ? rule.byDay.map(d => d.weekday)
+                    : [dtstart.getUTCDay()];
+                const days = [];
+                for (let i = 0; i < 7; i++) {
+                    const day = new Date(period.start.getTime() + i * DAY_MS);
+                    if (weekdays.includes(day.getUTCDay())) days.push(day);
+                }
+                return this._limitByMonth(rule, days);
+            }
+            case 'DAILY':
+                return this._limitDay(rule, period.start) ? [period.start] : [];
+        }
+        return [];
+    }
+
+    _getYearDays(rule, dtstart, year) {
+        if (rule.byYearDay.length > 0) {
+            const total = daysOfYear(year).length;
+            const days = rule.byYearDay
+                .map(n => n > 0 ? n : total + n + 1)
+                .filter(n => n >= 1 && n <= total)
+                .map(n => wallTime(year, 0, n));
+            return days.filter(day => this._limitDay(rule, day));
+        }
+
+        if (rule.byWeekNo.length > 0) {
+            const weekdays = rule.byDay.length > 0
+                ? rule.byDay.map(d => d.weekday)
+                : [dtstart.getUTCDay()];
+            const days = this._getWeekNoDays(rule, year)
+                .filter(day => weekdays.includes(day.getUTCDay()));
+            return this._limitByMonth(rule, days)
+                .filter(day => this._matchesMonthDay(rule, day));
+        }
+
+        if (rule.byMonth.length > 0) {
+            return rule.byMonth.flatMap(month => this._getMonthDays(rule, dtstart, year, month));
+        }
+
+        if (rule.byMonthDay.length > 0) {
+            const months = [...Array(12).keys()];
+            return months.flatMap(month => this._getMonthDays(rule, dtstart, year, month));
+        }
+
+        if (rule.byDay.length > 0) {
+            // Without BYMONTH the BYDAY ordinals count within the whole year
+            return this._expandByDay(daysOfYear(year), rule.byDay);
+        }
+
+        const day = dtstart.getUTCDate();
+        return day <= daysInMonth(year, dtstart.getUTCMonth())
+            ? [wallTime(year, dtstart.getUTCMonth(), day)]
+            : [];
+    }
+
+    _getMonthDays(rule, dtstart, year, month) {
+        if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+            const day = dtstart.getUTCDate();
+            return day <= daysInMonth(year, month) ? [wallTime(year, month, day)] : [];
+        }
+
+        const allDays = daysOfMonth(year, month);
+        let days = allDays.filter(day => this._matchesMonthDay(rule, day));
+
+        if (rule.byDay.length > 0) {
+            const matching = new Set(this._expandByDay(allDays, rule.byDay).map(d => d.getTime()));
+            days = days.filter(day => matching.has(day.getTime()));
+        }
+
+        return days;
+    }
+
+    _getWeekNoDays(rule, year) {
+        // Week 1 is the first week with at least four days in the year (ISO 8601 with WKST)
+        const jan4 = wallTime(year, 0, 4);
+        const offset = (jan4.getUTCDay() - rule.wkst + 7) % 7;
+        const firstWeekStart = jan4.getTime() - offset * DAY_MS;
+        const nextJan4 = wallTime(year + 1, 0, 4);
+        const nextOffset = (nextJan4.getUTCDay() - rule.wkst + 7) % 7;
+        const weeksInYear = Math.round((nextJan4.getTime() - nextOffset * DAY_MS - firstWeekStart) / (7 * DAY_MS));
+
+        const days = [];
+        for (const weekNo of rule.byWeekNo) {
+            const week = weekNo > 0 ? weekNo : weeksInYear + weekNo + 1;
+            if (week < 1 || week > weeksInYear) continue;
+            for (let i = 0; i < 7; i++) {
+                days.push(new Date(firstWeekStart + ((week - 1) * 7 + i) * DAY_MS));
+            }
+        }
+        return days;
+    }
+
+    _expandByDay(days, byDay) {
+        const result = [];
+        for (const { weekday, ordinal } of byDay) {
+            const matching = days.filter(day => day.getUTCDay() === weekday);
+            if (ordinal === 0) {
+                result.push(...matching);
+            } else {
+                const day = matching[ordinal > 0 ? ordinal - 1 : matching.length + ordinal];
+                if (day) result.push(day);
+            }
+        }
+        return result.sort((a, b) => a - b);
+    }
+
+    _matchesMonthDay(rule, day) {
+        if (rule.byMonthDay.length === 0) return true;
+        const total = daysInMonth(day.getUTCFullYear(), day.getUTCMonth());
+        return rule.byMonthDay.some(n => (n > 0 ? n : total + n + 1) === day.getUTCDate());
+    }
+
+    _limitByMonth(rule, days) {
+        if (rule.byMonth.length === 0) return days;
+        return days.filter(day => rule.byMonth.includes(day.getUTCMonth()));
+    }
+
+    _limitDay(rule, day) {
+        if (rule.byMonth.length > 0 && !rule.byMonth.includes(day.getUTCMonth())) return false;
+        if (!this._matchesMonthDay(rule, day)) return false;
+        if (rule.byYearDay.length > 0) {
+            const yearStart = wallTime(day.getUTCFullYear(), 0, 1);
+            const total = daysOfYear(day.getUTCFullYear()).length;
+            const dayOfYear = Math.round((day - yearStart) / DAY_MS) + 1;
+            if (!rule.byYearDay.some(n => (n > 0 ? n : total + n + 1) === dayOfYear)) return false;
+        }
+        if (rule.byDay.length > 0 && !rule.byDay.some(d => d.weekday === day.getUTCDay())) return false;
+        return true;
+    }
+
+    _getTimes(rule, dtstart) {
+        const hours = rule.byHour.length > 0 ? rule.byHour : [dtstart.getUTCHours()];
+        const minutes = rule.byMinute.length > 0 ? rule.byMinute : [dtstart.getUTCMinutes()];
+        const seconds = rule.bySecond.length > 0 ? rule.bySecond : [dtstart.getUTCSeconds()];
+
+        const times = [];
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                for (const second of seconds) {
+                    times.push({ hour, minute, second });
+                }
+            }
+        }
+        return times;
+    }
+
+    _getSubDailyCandidates(rule, periodStart) {
+        if (!this._limitDay(rule, startOfDay(periodStart))) return [];
+
+        const hour = periodStart.getUTCHours();
+        if (rule.byHour.length > 0 && !rule.byHour.includes(hour)) return [];
+
+        // Coarser sub-daily frequencies expand the finer BYxxx parts, finer ones limit
+        const minutes = rule.freq === 'HOURLY' && rule.byMinute.length > 0
+            ? rule.byMinute
+            : [periodStart.getUTCMinutes()];
+        if (rule.freq !== 'HOURLY' && rule.byMinute.length > 0 && !rule.byMinute.includes(minutes[0])) return [];
+
+        const seconds = rule.freq !== 'SECONDLY' && rule.bySecond.length > 0
+            ? rule.bySecond
+            : [periodStart.getUTCSeconds()];
+        if (rule.freq === 'SECONDLY' && rule.bySecond.length > 0 && !rule.bySecond.includes(seconds[0])) return [];
+
+        const day = startOfDay(periodStart);
+        const candidates = [];
+        for (const minute of minutes) {
+            for (const second of seconds) {
+                candidates.push(wallTime(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(),
+                    hour, minute, second));
+            }
+        }
+        return candidates;
+    }
+}
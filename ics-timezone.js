@@ -0,0 +1,221 @@
+// ics-timezone.js - VTIMEZONE and TZID resolution for GNOME At A Glance
+import GLib from 'gi://GLib';
+
+import { RecurrenceExpander } from './ics-recurrence.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const YEAR_MS = 366 * 24 * HOUR_MS;
+
+// Windows zone names sent by Exchange/Outlook invites that omit their VTIMEZONE
+const WINDOWS_ZONES = {
+    'UTC': 'UTC',
+    'GMT Standard Time': 'Europe/London',
+    'W. Europe Standard Time': 'Europe/Berlin',
+    'Romance Standard Time': 'Europe/Paris',
+    'Central Europe Standard Time': 'Europe/Budapest',
+    'Central European Standard Time': 'Europe/Warsaw',
+    'E. Europe Standard Time': 'Europe/Chisinau',
+    'FLE Standard Time': 'Europe/Kiev',
+    'Eastern Standard Time': 'America/New_York',
+    'Central Standard Time': 'America/Chicago',
+    'Mountain Standard Time': 'America/Denver',
+    'US Mountain Standard Time': 'America/Phoenix',
+    'Pacific Standard Time': 'America/Los_Angeles',
+    'India Standard Time': 'Asia/Kolkata',
+    'China Standard Time': 'Asia/Shanghai',
+    'Tokyo Standard Time': 'Asia/Tokyo',
+    'AUS Eastern Standard Time': 'Australia/Sydney'
+};
+
+function wallTime(year, month, day, hour = 0, minute = 0, second = 0) {
+    return new Date(Date.UTC(year, month, day, hour, minute, second));
+}
+
+// Parses a UTC offset such as "+0100", "-0530" or "+023000" into minutes
+export function parseUTCOffset(value) {
+    const match = /^([+-])(\d{2})(\d{2})(\d{2})?$/.exec((value || '').trim());
+    if (!match) return null;
+
+    const minutes = parseInt(match[2]) * 60 + parseInt(match[3]) + parseInt(match[4] || '0') / 60;
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+export class TimezoneResolver {
+    constructor() {
+        this.definitions = new Map(); // TZID -> VTIMEZONE observances
+        this.glibZones = new Map();
+        this.transitionCache = new Map();
+        this.recurrenceExpander = new RecurrenceExpander();
+    }
+
+    /**
+     * Registers a VTIMEZONE. Observances are { type, start, offsetFrom, offsetTo, rrules, rdates }
+     * with start as a wall time, offsets in minutes and rules already parsed.
+     */
+    addDefinition(tzid, observances) {
+        if (!tzid || observances.length === 0) return;
+
+        this.definitions.set(tzid, observances);
+        this.transitionCache.clear();
+        console.log(`At A Glance: Registered VTIMEZONE ${tzid} with ${observances.length} observances`);
+    }
+
+    // Converts an ICS date value (see parseICSDateParts) with its TZID into a real instant
+    resolve(parts, tzid = null) {
+        if (parts.isUTC) return this.toInstant(parts.wallTime, 'UTC');
+        if (parts.isDate) return this.toInstant(parts.wallTime, null);
+        return this.toInstant(parts.wallTime, tzid);
+    }
+
+    // Zone key for a date value: 'UTC', a TZID or null for floating local time
+    getZone(parts, tzid = null) {
+        if (parts.isUTC) return 'UTC';
+        if (parts.isDate) return null;
+        return tzid || null;
+    }
+
+    toInstant(wall, zone) {
+        if (zone === 'UTC') return new Date(wall.getTime());
+
+        if (zone && this.definitions.has(zone)) {
+            return this._definitionToInstant(wall, zone);
+        }
+
+        const glibZone = zone ? this._getGLibZone(zone) : null;
+        if (glibZone) {
+            const dateTime = GLib.DateTime.new(glibZone,
+                wall.getUTCFullYear(), wall.getUTCMonth() + 1, wall.getUTCDate(),
+                wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+            if (dateTime) return new Date(dateTime.to_unix() * 1000);
+        }
+
+        // Floating time, or a TZID we cannot resolve: use the local zone
+        return new Date(wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+            wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds());
+    }
+
+    toWallTime(instant, zone) {
+        if (zone === 'UTC') return new Date(instant.getTime());
+
+        if (zone && this.definitions.has(zone)) {
+            return new Date(instant.getTime() + this._definitionOffsetAt(zone, instant.getTime()) * 60 * 1000);
+        }
+
+        const glibZone = zone ? this._getGLibZone(zone) : null;
+        if (glibZone) {
+            const dateTime = GLib.DateTime.new_from_unix_utc(Math.floor(instant.getTime() / 1000));
+            const local = dateTime ? dateTime.to_timezone(glibZone) : null;
+            if (local) {
+                return wallTime(local.get_year(), local.get_month() - 1, local.get_day_of_month(),
+                    local.get_hour(), local.get_minute(), local.get_second());
+            }
+        }
+
+        return wallTime(instant.getFullYear(), instant.getMonth(), instant.getDate(),
+            instant.getHours(), instant.getMinutes(), instant.getSeconds());
+    }
+
+    _getGLibZone(tzid) {
+        if (this.glibZones.has(tzid)) return this.glibZones.get(tzid);
+
+        let zone = null;
+        for (const identifier of this._getCandidateIdentifiers(tzid)) {
+            try {
+                // new_identifier() returns null for names missing from the tz database
+                zone = GLib.TimeZone.new_identifier(identifier);
+            } catch (error) {
+                zone = null;
+            }
+            if (zone) break;
+        }
+
+        if (!zone) {
+            console.log(`At A Glance: Unknown TZID "${tzid}", treating times as local`);
+        }
+        this.glibZones.set(tzid, zone);
+        return zone;
+    }
+
+    _getCandidateIdentifiers(tzid) {
+        const candidates = [tzid];
+
+        if (WINDOWS_ZONES[tzid]) {
+            candidates.push(WINDOWS_ZONES[tzid]);
+        }
+
+        // Vendor-prefixed TZIDs such as "/freeassociation.sourceforge.net/America/New_York"
+        const segments = tzid.split('/').filter(segment => segment.length > 0);
+        for (let count = Math.min(3, segments.length - 1); count >= 1; count--) {
+            candidates.push(segments.slice(-count).join('/'));
+        }
+
+        return candidates;
+    }
+
+    _definitionToInstant(wall, tzid) {
+        const observances = this.definitions.get(tzid);
+        const offsets = [...new Set(observances.flatMap(o => [o.offsetFrom, o.offsetTo]))]
+            .sort((a, b) => b - a);
+
+        // Try each offset in use; an ambiguous time (fall back) resolves to its first occurrence
+        const candidates = offsets.map(offset => wall.getTime() - offset * 60 * 1000);
+        for (let i = 0; i < offsets.length; i++) {
+            if (this._definitionOffsetAt(tzid, candidates[i]) === offsets[i]) {
+                return new Date(candidates[i]);
+            }
+        }
+
+        // A non-existent time (spring forward gap) uses the offset in effect before the gap
+        const before = this._definitionOffsetAt(tzid, Math.min(...candidates));
+        return new Date(wall.getTime() - before * 60 * 1000);
+    }
+
+    _definitionOffsetAt(tzid, instantMs) {
+        const transitions = this._getTransitions(tzid, instantMs);
+
+        let offset = null;
+        for (const transition of transitions) {
+            if (transition.instant > instantMs) break;
+            offset = transition.offsetTo;
+        }
+
+        if (offset !== null) return offset;
+
+        // Before the first onset the first observance's previous offset applies
+        const observances = this.definitions.get(tzid);
+        const earliest = observances.reduce((a, b) => (a.start <= b.start ? a : b));
+        return earliest.offsetFrom;
+    }
+
+    _getTransitions(tzid, instantMs) {
+        const year = new Date(instantMs).getUTCFullYear();
+        const cacheKey = `${tzid}:${year}`;
+        if (this.transitionCache.has(cacheKey)) return this.transitionCache.get(cacheKey);
+
+        // Onsets from the previous year are needed to know the offset in early January
+        const rangeStart = new Date(wallTime(year - 1, 0, 1).getTime() - YEAR_MS);
+        const rangeEnd = wallTime(year + 1, 0, 1);
+        const transitions = [];
+
+        for (const observance of this.definitions.get(tzid)) {
+            // Onsets are expressed in the local time before the transition (TZOFFSETFROM)
+            const toInstant = wall => new Date(wall.getTime() - observance.offsetFrom * 60 * 1000);
+            // One-off observances may lie years back and still be in effect
+            const observanceStart = observance.rrules.length > 0 ? rangeStart : new Date(observance.start.getTime() - YEAR_MS);
+            const onsets = this.recurrenceExpander.expand({
+                start: observance.start,
+                rrules: observance.rrules,
+                rdates: observance.rdates,
+                exdates: []
+            }, observanceStart, rangeEnd, toInstant);
+
+            for (const onset of onsets) {
+                transitions.push({ instant: toInstant(onset).getTime(), offsetTo: observance.offsetTo });
+            }
+        }
+
+        transitions.sort((a, b) => a.instant - b.instant);
+        this.transitionCache.set(cacheKey, transitions);
+        return transitions;
+    }
+}
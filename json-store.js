@@ -0,0 +1,81 @@
+// json-store.js - JSON config and state files of GNOME At A Glance
+//
+// config.json and the state files kept next to it in ~/.config/at-a-glance. Reads never
+// throw: a missing or unreadable file gives the fallback and is logged. Writes go
+// through replace_contents, so a crash mid-write leaves the previous file intact.
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+export const CONFIG_DIR = GLib.get_home_dir() + '/.config/at-a-glance';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The parsed file, or `fallback` when it is missing or unreadable; `description` names it in the log
+export function readJsonFile(path, description, fallback = null) {
+    try {
+        const file = Gio.File.new_for_path(path);
+        if (file.query_exists(null)) {
+            const [success, contents] = file.load_contents(null);
+            if (success) {
+                return JSON.parse(new TextDecoder().decode(contents));
+            }
+        }
+    } catch (error) {
+        console.log(`At A Glance: Could not load ${description}:`, error);
+    }
+    return fallback;
+}
+
+// Writes `value` as indented JSON, creating the directory first; returns whether it worked
+export function writeJsonFile(path, value, description) {
+    try {
+        const dir = Gio.File.new_for_path(GLib.path_get_dirname(path));
+        if (!dir.query_exists(null)) {
+            dir.make_directory_with_parents(null);
+        }
+
+        Gio.File.new_for_path(path).replace_contents(
+            JSON.stringify(value, null, 2),
+            null, false,
+            Gio.FileCreateFlags.NONE,
+            null
+        );
+        return true;
+    } catch (error) {
+        console.error(`At A Glance: Error saving ${description}:`, error);
+        return false;
+    }
+}
+
+// A state file holding one object, as a Map of its entries
+export function readJsonMap(path, description) {
+    const value = readJsonFile(path, description);
+    return value && typeof value === 'object' && !Array.isArray(value) ? new Map(Object.entries(value)) : new Map();
+}
+
+export function writeJsonMap(path, map, description) {
+    return writeJsonFile(path, Object.fromEntries(map), description);
+}
+
+// One section of config.json, re-read on every call so edits apply without a reload; {} when absent
+export function loadConfigSection(name) {
+    const config = readJsonFile(`${CONFIG_DIR}/config.json`, 'config.json', {});
+    const section = config?.[name];
+    return section && typeof section === 'object' ? section : {};
+}
+
+/**
+ * Drops the entries of a meeting-keyed state Map whose meeting (`entry.start`) began more
+ * than a day before `now`. Returns whether anything was dropped, so the caller knows to save.
+ */
+export function pruneStartedMeetings(map, now = Date.now()) {
+    const cutoff = now - DAY_MS;
+    let pruned = false;
+    for (const [key, entry] of [...map]) {
+        if (new Date(entry.start).getTime() < cutoff) {
+            map.delete(key);
+            pruned = true;
+        }
+    }
+    return pruned;
+}
@@ -0,0 +1,263 @@
+// llm-providers.js - Language model backends for the AI insights of GNOME At A Glance
+//
+// Every provider turns { prompt, maxTokens, timeoutSeconds, schema } into { text, usage },
+// where usage is { inputTokens, outputTokens } as reported by the server (or null).
+// `schema` is a JSON schema the reply must follow; backends with structured output
+// enforce it, the others rely on the prompt and the caller's validation.
+// Backends: Anthropic, any OpenAI-compatible chat completions endpoint, and local Ollama
+// or llama.cpp servers, so calendar and task titles never have to leave the machine.
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+
+// Failed request; `status` is the HTTP status, or null when the server was not reached
+export class LLMError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'LLMError';
+        this.status = status;
+    }
+}
+
+class LLMProvider {
+    constructor(name, options) {
+        this.name = name;
+        this.model = options.model || this.defaultModel;
+        this.baseUrl = (options.baseUrl || this.defaultBaseUrl).replace(/\/$/, '');
+        this.apiKey = options.apiKey || null;
+        this.timeoutSeconds = options.timeoutSeconds || DEFAULT_TIMEOUT_SECONDS;
+        this.session = new Soup.Session();
+    }
+
+    // Identifies the provider and model for rate limits, caches and usage
+    get id() {
+        return `${this.name}:${this.model}`;
+    }
+
+    get label() {
+        return `${this.name} (${this.model})`;
+    }
+
+    // Whether prompts stay on this machine
+    get isLocal() {
+        return /^https?:\/\/(localhost|127\.0\.0\.1|\[::1\])(:|\/|$)/.test(this.baseUrl);
+    }
+
+    async complete({ prompt, maxTokens = 100, timeoutSeconds = this.timeoutSeconds, schema = null }) {
+        const { url, headers, body } = this.buildRequest(prompt, maxTokens, schema);
+        const result = await this._postJson(url, headers, body, timeoutSeconds);
+
+        const text = this.parseResponse(result);
+        if (typeof text !== 'string' || text.trim().length === 0) {
+            throw new LLMError(`${this.label} returned no text`);
+        }
+
+        const usage = this.parseUsage(result);
+        const valid = usage && Number.isFinite(usage.inputTokens) && Number.isFinite(usage.outputTokens);
+        return { text: text.trim(), usage: valid ? usage : null };
+    }
+
+    // Returns { url, headers, body } for one completion
+    buildRequest(prompt, maxTokens, schema) {
+        throw new Error('buildRequest() not implemented');
+    }
+
+    // Extracts the reply text from the decoded JSON response
+    parseResponse(result) {
+        throw new Error('parseResponse() not implemented');
+    }
+
+    // Extracts { inputTokens, outputTokens } from the decoded JSON response
+    parseUsage(result) {
+        return null;
+    }
+
+    _postJson(url, headers, body, timeoutSeconds) {
+        const message = Soup.Message.new('POST', url);
+        if (!message) return Promise.reject(new LLMError(`Invalid URL: ${url}`));
+
+        const requestHeaders = message.get_request_headers();
+        for (const [name, value] of Object.entries(headers)) {
+            requestHeaders.append(name, value);
+        }
+        message.set_request_body_from_bytes('application/json',
+            GLib.Bytes.new(new TextEncoder().encode(JSON.stringify(body))));
+        this.session.timeout = timeoutSeconds;
+
+        return new Promise((resolve, reject) => {
+            this.session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                let bytes;
+                try {
+                    bytes = session.send_and_read_finish(result);
+                } catch (error) {
+                    reject(new LLMError(`${this.label} unreachable: ${error.message}`));
+                    return;
+                }
+
+                const status = message.get_status();
+                if (status !== 200) {
+                    reject(new LLMError(`${this.label} error: ${status}`, status));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(new TextDecoder('utf-8').decode(bytes.get_data())));
+                } catch (error) {
+                    reject(new LLMError(`${this.label} sent invalid JSON`, status));
+                }
+            });
+        });
+    }
+}
+
+class AnthropicProvider extends LLMProvider {
+    get defaultModel() {
+        return 'claude-3-haiku-20240307';
+    }
+
+    get defaultBaseUrl() {
+        return 'https://api.anthropic.com';
+    }
+
+    buildRequest(prompt, maxTokens) {
+        return {
+            url: `${this.baseUrl}/v1/messages`,
+            headers: { 'anthropic-version': '2023-06-01', 'x-api-key': this.apiKey },
+            body: { model: this.model, messages: [{ role: 'user', content: prompt }], max_tokens: maxTokens }
+        };
+    }
+
+    parseResponse(result) {
+        return result.content?.[0]?.text;
+    }
+
+    parseUsage(result) {
+        return result.usage ? { inputTokens: result.usage.input_tokens, outputTokens: result.usage.output_tokens } : null;
+    }
+}
+
+// OpenAI itself and the many servers that copy its API (vLLM, LM Studio, llama.cpp's /v1, ...)
+class OpenAICompatibleProvider extends LLMProvider {
+    get defaultModel() {
+        return 'gpt-4o-mini';
+    }
+
+    get defaultBaseUrl() {
+        return 'https://api.openai.com/v1';
+    }
+
+    buildRequest(prompt, maxTokens, schema) {
+        const body = { model: this.model, messages: [{ role: 'user', content: prompt }], max_tokens: maxTokens };
+        // Not "strict": that mode rejects schemas using maxLength and similar keywords
+        if (schema) {
+            body.response_format = { type: 'json_schema', json_schema: { name: 'response', schema: schema } };
+        }
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            body: body
+        };
+    }
+
+    parseResponse(result) {
+        return result.choices?.[0]?.message?.content;
+    }
+
+    parseUsage(result) {
+        return result.usage ? { inputTokens: result.usage.prompt_tokens, outputTokens: result.usage.completion_tokens } : null;
+    }
+}
+
+class OllamaProvider extends LLMProvider {
+    get defaultModel() {
+        return 'llama3.2';
+    }
+
+    get defaultBaseUrl() {
+        return 'http://localhost:11434';
+    }
+
+    buildRequest(prompt, maxTokens, schema) {
+        const body = {
+            model: this.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: false,
+            options: { num_predict: maxTokens }
+        };
+        if (schema) body.format = schema;
+        return { url: `${this.baseUrl}/api/chat`, headers: {}, body: body };
+    }
+
+    parseResponse(result) {
+        return result.message?.content;
+    }
+
+    parseUsage(result) {
+        return { inputTokens: result.prompt_eval_count, outputTokens: result.eval_count };
+    }
+}
+
+// llama.cpp's own server; it serves whichever model it was started with
+class LlamaCppProvider extends LLMProvider {
+    get defaultModel() {
+        return 'default';
+    }
+
+    get defaultBaseUrl() {
+        return 'http://localhost:8080';
+    }
+
+    buildRequest(prompt, maxTokens, schema) {
+        const body = { prompt: prompt, n_predict: maxTokens, stream: false };
+        if (schema) body.json_schema = schema;
+        return {
+            url: `${this.baseUrl}/completion`,
+            headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+            body: body
+        };
+    }
+
+    parseResponse(result) {
+        return result.content;
+    }
+
+    parseUsage(result) {
+        return { inputTokens: result.tokens_evaluated, outputTokens: result.tokens_predicted };
+    }
+}
+
+const PROVIDERS = {
+    'anthropic': AnthropicProvider,
+    'openai': OpenAICompatibleProvider,
+    'ollama': OllamaProvider,
+    'llamacpp': LlamaCppProvider
+};
+
+export const LLM_PROVIDER_NAMES = Object.keys(PROVIDERS);
+
+/**
+ * Builds the provider selected by the "llm" config section:
+ * { provider, model, base_url, api_key, timeout_seconds }. Anthropic falls back to the
+ * top-level claude_api_key. Returns null when a cloud provider has no API key; throws on
+ * an unknown provider name.
+ */
+export function createLLMProvider(llmConfig = {}, claudeApiKey = null) {
+    const name = llmConfig.provider || 'anthropic';
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}" (expected ${LLM_PROVIDER_NAMES.join(', ')})`);
+    }
+
+    const apiKey = llmConfig.api_key || (name === 'anthropic' ? claudeApiKey : null);
+    const provider = new Provider(name, {
+        model: llmConfig.model,
+        baseUrl: llmConfig.base_url,
+        apiKey: apiKey,
+        timeoutSeconds: llmConfig.timeout_seconds
+    });
+
+    if (!apiKey && (name === 'anthropic' || (name === 'openai' && !provider.isLocal))) {
+        return null;
+    }
+    return provider;
+}
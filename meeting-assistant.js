@@ -2,10 +2,94 @@
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
 
+import { MeetingClassifier, getEventDurationMinutes } from './meeting-classifier.js';
+
+// Dial-in details buried in invite bodies: phone numbers, meeting IDs, passcodes/PINs, SIP addresses
+
+// International numbers, optionally followed by a one-tap dial sequence: +16465588656,,85412345678#
+const PHONE_PATTERN = /(\+\d[\d ().-]{6,}\d)((?:,+[\d*#]+)+)?/g;
+const SIP_CONTEXT_PATTERN = /\bSIP\b|video (?:system|conferencing device)|H\.323/i;
+const ADDRESS_PATTERN = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// First value after any of the labels on the same line: "Meeting ID: 854 1234 5678"
+function findLabeledValue(text, labels, valuePattern = '\\d[\\d ]*\\d', separator = '[ \\t]*:?[ \\t]*') {
+    const regex = new RegExp(`\\b(?:${labels.join('|')})${separator}(${valuePattern})`, 'i');
+    const match = regex.exec(text);
+    return match ? match[1].trim() : null;
+}
+
+function findPasscode(text, labels = ['Passcode', 'Password']) {
+    return findLabeledValue(text, labels, '[^\\s(]+', '[ \\t]*:[ \\t]*');
+}
+
+function digitsOf(value) {
+    return value ? value.replace(/\D/g, '') : '';
+}
+
+// Each platform words its invites differently; fields a parser leaves null come from the generic one
+const DIAL_IN_PARSERS = {
+    zoom: text => ({
+        meetingId: findLabeledValue(text, ['Meeting ID']),
+        passcode: findPasscode(text)
+    }),
+    teams: text => ({
+        meetingId: findLabeledValue(text, ['Meeting ID']),
+        passcode: findPasscode(text, ['Passcode']),
+        // Callers key in the phone conference ID, not the meeting ID
+        pin: findLabeledValue(text, ['Phone conference ID'])
+    }),
+    webex: text => {
+        // "Meeting password: Xy7kP3mQ (99757237 from phones and video systems)"
+        const password = /\bMeeting password[ \t]*:[ \t]*([^\s(]+)(?:[ \t]*\((\d+) from phones)?/i.exec(text);
+        return {
+            meetingId: findLabeledValue(text, ['Meeting number \\(access code\\)', 'Meeting number', 'Access code']),
+            passcode: password ? password[1] : null,
+            pin: password && password[2] ? password[2] : null
+        };
+    },
+    'google-meet': text => ({
+        pin: findLabeledValue(text, ['PIN'])
+    }),
+    generic: text => ({
+        meetingId: findLabeledValue(text, ['Meeting ID', 'Conference ID', 'Conference code', 'Access code', 'Meeting number']),
+        passcode: findPasscode(text),
+        pin: findLabeledValue(text, ['Participant PIN', 'Participant code', 'Attendee code', 'PIN'])
+    })
+};
+
+// Schedule analysis across events
+const BACK_TO_BACK_MAX_GAP_MINUTES = 5; // Five minutes between meetings is not a break
+const TRAVEL_BUFFER_MINUTES = 15;
+const MIN_FOCUS_BLOCK_MINUTES = 30;
+const WORKDAY_START_HOUR = 9;
+const WORKDAY_END_HOUR = 18;
+
+// Locations that are not a place to travel to
+const VIRTUAL_LOCATION_PATTERN = /https?:\/\/|\b(zoom|teams|meet|webex|skype|virtual|online|remote|phone|call|dial-in)\b/i;
+
+export function isPhysicalLocation(location) {
+    return typeof location === 'string' && location.trim().length > 0 && !VIRTUAL_LOCATION_PATTERN.test(location);
+}
+
+function normalizeLocation(location) {
+    return location.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function formatClock(time) {
+    return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+// Identifies one occurrence of a meeting across refreshes, for state persisted per meeting
+export function getMeetingKey(event) {
+    return `${event.uid || event.id}|${event.start}`;
+}
+
 export class MeetingAssistant {
     constructor() {
         this.cache = new Map();
         this.cacheTimeout = 15 * 60 * 1000; // 15 minutes
+        this.prepTaskTracker = null; // PrepTaskTracker, when Todoist is configured
+        this.classifier = new MeetingClassifier();
         this.meetingLinkPatterns = [
             // Zoom patterns
             /https?:\/\/(?:[\w-]+\.)?zoom\.us\/j\/[\w?=-]+/gi,
@@ -33,11 +117,21 @@ export class MeetingAssistant {
         ];
         
         this.urgentKeywords = [
-            'urgent', 'asap', 'emergency', 'critical', 'immediate',
-            '1:1', 'one-on-one', 'interview', 'all-hands', 'standup',
-            'deadline', 'review', 'demo', 'presentation', 'client'
+            'urgent', 'asap', 'emergency', 'critical', 'immediate', 'deadline'
         ];
         
+        // How much a meeting of each type tends to matter, before keywords and duration
+        this.typeUrgency = {
+            'interview': 'high',
+            'client': 'high',
+            'presentation': 'high',
+            'one-on-one': 'medium-high',
+            'review': 'medium-high',
+            'standup': 'medium',
+            'all-hands': 'medium',
+            'general': 'medium'
+        };
+        
         this.preparationKeywords = [
             'agenda', 'materials', 'slides', 'document', 'prep',
             'review', 'read', 'prepare', 'bring', 'requirements'
@@ -45,7 +139,7 @@ export class MeetingAssistant {
     }
 
     extractMeetingLinks(event) {
-        const text = `${event.title || ''} ${event.description || ''}`;
+        const text = `${event.title || ''} ${event.location || ''} ${event.description || ''}`;
         const links = [];
         
         for (const pattern of this.meetingLinkPatterns) {
@@ -79,6 +173,145 @@ export class MeetingAssistant {
         return 'generic';
     }
 
+    /**
+     * The URI to open for a meeting link: the native client's scheme (zoommtg://, msteams:)
+     * when an application handles it, otherwise the web URL itself.
+     */
+    getJoinUri(link) {
+        const nativeUri = this.toNativeMeetingUri(link.url, link.type);
+        if (nativeUri) {
+            const scheme = nativeUri.slice(0, nativeUri.indexOf(':'));
+            if (Gio.AppInfo.get_default_for_uri_scheme(scheme)) {
+                return nativeUri;
+            }
+        }
+        return link.url;
+    }
+
+    toNativeMeetingUri(url, type = this.detectMeetingPlatform(url)) {
+        if (type === 'zoom') {
+            // https://example.zoom.us/j/123456789?pwd=abc -> zoommtg://zoom.us/join?confno=123456789&pwd=abc
+            const match = /zoom\.us\/j\/(\d+)(?:\?(?:.*&)?pwd=([\w.-]+))?/i.exec(url);
+            if (!match) return null;
+            return `zoommtg://zoom.us/join?confno=${match[1]}${match[2] ? `&pwd=${match[2]}` : ''}`;
+        }
+        if (type === 'teams') {
+            // The desktop client takes the web link's path and query after "msteams:"
+            const match = /^https?:\/\/teams\.(?:microsoft|live)\.com(\/.*)$/i.exec(url);
+            return match ? `msteams:${match[1]}` : null;
+        }
+        return null;
+    }
+
+    /**
+     * Parses phone dial-ins, meeting IDs, passcodes/PINs and SIP addresses out of an invite:
+     * { platform, meetingId, passcode, pin, dialIns: [{ number, label, dialString }], sipAddresses }.
+     * `dialString` is the number with the one-tap sequence (",,<id>#") phones dial through.
+     */
+    extractDialInInfo(event) {
+        const text = `${event.location || ''}\n${event.description || ''}`;
+        const platform = this.detectInvitePlatform(event, text);
+        const generic = DIAL_IN_PARSERS.generic(text);
+        const specific = platform !== 'generic' ? DIAL_IN_PARSERS[platform](text) : {};
+
+        const info = {
+            platform: platform,
+            meetingId: specific.meetingId || generic.meetingId,
+            passcode: specific.passcode || generic.passcode,
+            pin: specific.pin || generic.pin,
+            dialIns: [],
+            sipAddresses: this.extractSIPAddresses(text)
+        };
+        // A lone number ("call me at ...") is no dial-in unless the invite has an ID, a PIN,
+        // dial-in wording or a one-tap sequence
+        const dialIns = this.extractPhoneNumbers(text, this.buildDialSequence(info));
+        const hasDialContext = info.meetingId || info.pin || /\bdial|\bcall[- ]in\b|\btoll\b/i.test(text);
+        info.dialIns = hasDialContext ? dialIns : dialIns.filter(dialIn => dialIn.dialString.includes(','));
+        return info;
+    }
+
+    hasDialInInfo(info) {
+        return info.dialIns.length > 0 || info.sipAddresses.length > 0 || info.meetingId !== null || info.pin !== null;
+    }
+
+    detectInvitePlatform(event, text) {
+        const [link] = this.extractMeetingLinks(event);
+        if (link && DIAL_IN_PARSERS[link.type]) return link.type;
+
+        if (/zoom\.us|\bzoom meeting\b/i.test(text)) return 'zoom';
+        if (/microsoft teams/i.test(text)) return 'teams';
+        if (/webex/i.test(text)) return 'webex';
+        if (/google meet|meet\.google\.com/i.test(text)) return 'google-meet';
+        return 'generic';
+    }
+
+    // What to dial after the number when the invite gives no one-tap sequence of its own
+    buildDialSequence(info) {
+        const meetingId = digitsOf(info.meetingId);
+        const pin = digitsOf(info.pin);
+        const passcode = /^\d+$/.test(info.passcode || '') ? info.passcode : '';
+
+        switch (info.platform) {
+        case 'zoom':
+            if (!meetingId) return '';
+            return `,,${meetingId}#${passcode ? `,,,,*${passcode}#` : ''}`;
+        case 'webex':
+            if (!meetingId) return '';
+            return `,,${meetingId}##${pin ? `,,${pin}#` : ''}`;
+        default:
+            if (pin) return `,,${pin}#`;
+            return meetingId ? `,,${meetingId}#` : '';
+        }
+    }
+
+    extractPhoneNumbers(text, dialSequence) {
+        const dialIns = [];
+        const seen = new Set();
+
+        for (const line of text.split('\n')) {
+            for (const match of line.matchAll(PHONE_PATTERN)) {
+                const number = match[1].replace(/\s+/g, ' ').trim();
+                const digits = digitsOf(number);
+                if (digits.length < 8 || digits.length > 15 || seen.has(digits)) continue;
+                seen.add(digits);
+
+                // The label is the rest of the line ("US (New York)"), or what precedes the number ("(US)")
+                const after = line.slice(match.index + match[0].length).replace(/^[\s,#*\d]+/, '').trim();
+                const before = line.slice(0, match.index).replace(/\b(?:or dial|dial-in|dial in|dial|call in|call)\b[:\s]*/ig, '').trim();
+                const label = (after.split(/\s{2,}|\bPIN\b/i)[0] || before).replace(/[\s:|-]+$/, '').trim();
+
+                dialIns.push({
+                    number: number,
+                    label: label || null,
+                    dialString: `+${digits}${match[2] || dialSequence}`
+                });
+            }
+        }
+        return dialIns;
+    }
+
+    // Addresses after "sip:", or near a "Join by SIP" / "video system" heading; plain
+    // e-mail addresses elsewhere in the invite are attendees, not endpoints
+    extractSIPAddresses(text) {
+        const addresses = new Set();
+        let contextLines = 0;
+
+        for (const line of text.split('\n')) {
+            if (SIP_CONTEXT_PATTERN.test(line)) contextLines = 3;
+
+            for (const match of line.matchAll(/\bsips?:([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/gi)) {
+                addresses.add(match[1]);
+            }
+            if (contextLines > 0) {
+                for (const match of line.matchAll(ADDRESS_PATTERN)) {
+                    addresses.add(match[0]);
+                }
+                contextLines--;
+            }
+        }
+        return [...addresses];
+    }
+
     calculateLinkConfidence(url, context) {
         let confidence = 0.5; // Base confidence
         
@@ -107,7 +340,7 @@ export class MeetingAssistant {
 
     calculateMeetingUrgency(event) {
         const text = `${event.title || ''} ${event.description || ''}`.toLowerCase();
-        let urgency = 'medium';
+        let urgency = this.typeUrgency[this.detectMeetingType(event)] || 'medium';
         
         // Check for urgent keywords
         const hasUrgentKeyword = this.urgentKeywords.some(keyword => 
@@ -116,11 +349,11 @@ export class MeetingAssistant {
         
         if (hasUrgentKeyword) urgency = 'high';
         
-        // Check meeting duration and attendee count (if available)
-        const duration = event.duration || 0;
-        if (duration > 2 * 60 * 60) { // > 2 hours
+        // Long meetings matter more, very short ones less
+        const duration = getEventDurationMinutes(event);
+        if (duration !== null && duration > 2 * 60) {
             urgency = urgency === 'high' ? 'high' : 'medium-high';
-        } else if (duration < 15 * 60) { // < 15 minutes
+        } else if (duration !== null && duration < 15) {
             urgency = urgency === 'high' ? 'high' : 'low';
         }
         
@@ -175,17 +408,13 @@ export class MeetingAssistant {
     }
 
     detectMeetingType(event) {
-        const text = `${event.title || ''} ${event.description || ''}`.toLowerCase();
-        
-        if (text.includes('standup') || text.includes('daily')) return 'standup';
-        if (text.includes('1:1') || text.includes('one-on-one')) return 'one-on-one';
-        if (text.includes('interview')) return 'interview';
-        if (text.includes('all-hands') || text.includes('town hall')) return 'all-hands';
-        if (text.includes('demo') || text.includes('presentation')) return 'presentation';
-        if (text.includes('review')) return 'review';
-        if (text.includes('client') || text.includes('customer')) return 'client';
-        
-        return 'general';
+        return this.classifier.classify(event).type;
+    }
+
+    // Pins the type for every occurrence of the event's series (null for automatic again)
+    setMeetingTypeOverride(event, type) {
+        this.classifier.setOverride(event, type);
+        this.cache.clear(); // Contexts carry the old type, preparation tasks and urgency
     }
 
     getDefaultPreparationTasks(meetingType) {
@@ -211,6 +440,13 @@ export class MeetingAssistant {
                 { task: 'Review client account history', type: 'preparation', priority: 'high' },
                 { task: 'Prepare project updates', type: 'preparation', priority: 'medium' }
             ],
+            'review': [
+                { task: 'Read the material under review', type: 'preparation', priority: 'high' },
+                { task: 'Note questions and concerns', type: 'preparation', priority: 'medium' }
+            ],
+            'all-hands': [
+                { task: 'Skim the announcement or agenda', type: 'preparation', priority: 'low' }
+            ],
             'general': [
                 { task: 'Review meeting agenda', type: 'preparation', priority: 'medium' }
             ]
@@ -235,7 +471,7 @@ export class MeetingAssistant {
     calculatePreparationTime(event) {
         const meetingType = this.detectMeetingType(event);
         const urgency = this.calculateMeetingUrgency(event);
-        const duration = event.duration || 60 * 60; // Default 1 hour
+        const duration = getEventDurationMinutes(event) ?? 60; // Default 1 hour
         
         // Base preparation time based on meeting type
         const baseTime = {
@@ -249,15 +485,15 @@ export class MeetingAssistant {
             'general': 5
         };
         
-        let prepTime = baseTime[meetingType] || 5;
+        let prepTime = baseTime[meetingType] ?? 5;
         
         // Adjust based on urgency
         if (urgency === 'high') prepTime *= 1.5;
         if (urgency === 'low') prepTime *= 0.5;
         
         // Adjust based on duration
-        if (duration > 2 * 60 * 60) prepTime *= 1.5; // Long meetings need more prep
-        if (duration < 15 * 60) prepTime *= 0.5; // Short meetings need less prep
+        if (duration > 2 * 60) prepTime *= 1.5; // Long meetings need more prep
+        if (duration < 15) prepTime *= 0.5; // Short meetings need less prep
         
         return Math.max(2, Math.min(30, Math.round(prepTime))); // Between 2-30 minutes
     }
@@ -265,13 +501,14 @@ export class MeetingAssistant {
     generateMeetingContext(event) {
         const cacheKey = `meeting_context_${event.id || event.title}_${event.start}`;
         const cached = this.getCached(cacheKey);
-        if (cached) return cached;
+        if (cached) return this.annotatePrepTasks(cached);
         
         const links = this.extractMeetingLinks(event);
         const urgency = this.calculateMeetingUrgency(event);
         const preparationTasks = this.generatePreparationTasks(event);
         const preparationTime = this.calculatePreparationTime(event);
-        const meetingType = this.detectMeetingType(event);
+        const classification = this.classifier.classify(event);
+        const meetingType = classification.type;
         
         const context = {
             event: event,
@@ -280,12 +517,39 @@ export class MeetingAssistant {
             preparationTasks: preparationTasks,
             preparationTime: preparationTime,
             meetingType: meetingType,
+            meetingTypeSource: classification.source,
             primaryLink: links.length > 0 ? links[0] : null,
+            dialIn: this.extractDialInInfo(event),
             hasPreparation: preparationTasks.length > 0,
+            organizer: event.organizer || null,
+            attendees: event.attendees || [],
+            categories: event.categories || [],
             timestamp: Date.now()
         };
         
         this.setCached(cacheKey, context);
+        return this.annotatePrepTasks(context);
+    }
+
+    setPrepTaskTracker(tracker) {
+        this.prepTaskTracker = tracker;
+    }
+
+    // Marks which preparation tasks were pushed to Todoist and which of those are done.
+    // Runs on cached contexts too, so completions show up without waiting for the cache.
+    annotatePrepTasks(context) {
+        if (!this.prepTaskTracker) return context;
+
+        const tracked = this.prepTaskTracker.getTrackedTasks(context.event);
+        context.preparationTasks.forEach(task => {
+            task.todoist = tracked[task.task] || null;
+        });
+        const created = context.preparationTasks.filter(task => task.todoist);
+        context.prepProgress = {
+            total: context.preparationTasks.length,
+            created: created.length,
+            completed: created.filter(task => task.todoist.completed).length
+        };
         return context;
     }
 
@@ -295,6 +559,8 @@ export class MeetingAssistant {
         
         return events
             .filter(event => {
+                // All-day events have no start worth preparing for
+                if (event.features?.isAllDay) return false;
                 const eventStart = new Date(event.start);
                 return eventStart >= now && eventStart <= next4Hours;
             })
@@ -343,9 +609,16 @@ export class MeetingAssistant {
                 timeUntil: timeUntil,
                 urgency: nextMeeting.urgency,
                 hasLink: nextMeeting.links.length > 0,
+                hasDialIn: this.hasDialInInfo(nextMeeting.dialIn),
                 hasPreparation: nextMeeting.hasPreparation,
+                prepProgress: nextMeeting.prepProgress || null,
                 preparationTime: nextMeeting.preparationTime,
-                meetingType: nextMeeting.meetingType
+                meetingType: nextMeeting.meetingType,
+                organizer: nextMeeting.organizer ? nextMeeting.organizer.name : null,
+                attendeeCount: nextMeeting.attendees.length,
+                acceptedCount: nextMeeting.attendees.filter(a => a.partstat === 'ACCEPTED').length,
+                categories: nextMeeting.categories,
+                tentative: nextMeeting.event.features?.availability === 'tentative'
             },
             totalUpcoming: upcomingMeetings.length,
             summary: this.generateMeetingSummary(upcomingMeetings)
@@ -367,4 +640,137 @@ export class MeetingAssistant {
         
         return `${meetings.length} meetings upcoming`;
     }
+
+    /**
+     * Looks at timed events that have not ended yet, together:
+     *   conflicts       overlapping pairs { first, second, start, overlapMinutes, doubleBooked },
+     *                   double-booked when one lies entirely within the other
+     *   backToBack      runs of 2+ meetings without a break { events, start, end }
+     *   travelConflicts consecutive meetings at different places without time to get there
+     *                   { from, to, gapMinutes }
+     *   focusBlock      the longest free stretch of today's working hours { start, end, minutes },
+     *                   or null when none lasts MIN_FOCUS_BLOCK_MINUTES
+     * Pass attended events only; free-time and declined events don't block anything.
+     */
+    analyzeSchedule(events, now = new Date()) {
+        const meetings = events
+            .filter(event => !event.features?.isAllDay)
+            .map(event => ({ event: event, start: new Date(event.start).getTime(), end: new Date(event.end).getTime() }))
+            .filter(meeting => meeting.end > now.getTime() && meeting.end > meeting.start)
+            .sort((a, b) => a.start - b.start || a.end - b.end);
+
+        return {
+            conflicts: this._findConflicts(meetings),
+            backToBack: this._findBackToBackChains(meetings),
+            travelConflicts: this._findTravelConflicts(meetings),
+            focusBlock: this._findFocusBlock(meetings, now)
+        };
+    }
+
+    _findConflicts(meetings) {
+        const conflicts = [];
+        meetings.forEach((meeting, index) => {
+            for (const other of meetings.slice(index + 1)) {
+                if (other.start >= meeting.end) break;
+
+                const overlapEnd = Math.min(meeting.end, other.end);
+                conflicts.push({
+                    first: meeting.event,
+                    second: other.event,
+                    start: new Date(other.start).toISOString(),
+                    overlapMinutes: Math.round((overlapEnd - other.start) / (1000 * 60)),
+                    doubleBooked: other.end <= meeting.end || other.start === meeting.start
+                });
+            }
+        });
+        return conflicts;
+    }
+
+    _findBackToBackChains(meetings) {
+        const chains = [];
+        let chain = null;
+
+        for (const meeting of meetings) {
+            if (chain && meeting.start - chain.end <= BACK_TO_BACK_MAX_GAP_MINUTES * 60 * 1000) {
+                chain.meetings.push(meeting);
+                chain.end = Math.max(chain.end, meeting.end);
+                continue;
+            }
+            if (chain && chain.meetings.length > 1) chains.push(chain);
+            chain = { meetings: [meeting], start: meeting.start, end: meeting.end };
+        }
+        if (chain && chain.meetings.length > 1) chains.push(chain);
+
+        return chains.map(({ meetings, start, end }) => ({
+            events: meetings.map(meeting => meeting.event),
+            start: new Date(start).toISOString(),
+            end: new Date(end).toISOString()
+        }));
+    }
+
+    _findTravelConflicts(meetings) {
+        const conflicts = [];
+        meetings.forEach((meeting, index) => {
+            // The meeting that follows this one; overlaps are conflicts already
+            const next = meetings.slice(index + 1).find(other => other.start >= meeting.end);
+            if (!next) return;
+
+            const gapMinutes = Math.round((next.start - meeting.end) / (1000 * 60));
+            if (gapMinutes >= TRAVEL_BUFFER_MINUTES) return;
+            if (!isPhysicalLocation(meeting.event.location) || !isPhysicalLocation(next.event.location)) return;
+            if (normalizeLocation(meeting.event.location) === normalizeLocation(next.event.location)) return;
+
+            conflicts.push({ from: meeting.event, to: next.event, gapMinutes: gapMinutes });
+        });
+        return conflicts;
+    }
+
+    _findFocusBlock(meetings, now) {
+        const dayEnd = new Date(now);
+        dayEnd.setHours(WORKDAY_END_HOUR, 0, 0, 0);
+        const dayStart = new Date(now);
+        dayStart.setHours(WORKDAY_START_HOUR, 0, 0, 0);
+
+        let freeFrom = Math.max(now.getTime(), dayStart.getTime());
+        let best = null;
+        const consider = until => {
+            if (until - freeFrom > (best ? best.end - best.start : 0)) {
+                best = { start: freeFrom, end: until };
+            }
+        };
+
+        for (const meeting of meetings) {
+            if (meeting.start >= dayEnd.getTime()) break;
+            if (meeting.start > freeFrom) consider(meeting.start);
+            freeFrom = Math.max(freeFrom, meeting.end);
+        }
+        if (dayEnd.getTime() > freeFrom) consider(dayEnd.getTime());
+
+        const minutes = best ? Math.floor((best.end - best.start) / (1000 * 60)) : 0;
+        if (minutes < MIN_FOCUS_BLOCK_MINUTES) return null;
+
+        return { start: new Date(best.start).toISOString(), end: new Date(best.end).toISOString(), minutes: minutes };
+    }
+
+    // One line for AI prompts: "Double-booked at 02:00 PM (A / B); 3 back-to-back until 04:00 PM; ..."
+    summarizeSchedule(schedule) {
+        const parts = [];
+
+        for (const conflict of schedule.conflicts.slice(0, 2)) {
+            const kind = conflict.doubleBooked ? 'Double-booked' : `${conflict.overlapMinutes}min overlap`;
+            parts.push(`${kind} at ${formatClock(conflict.start)} ("${conflict.first.title}" / "${conflict.second.title}")`);
+        }
+        for (const chain of schedule.backToBack.slice(0, 2)) {
+            parts.push(`${chain.events.length} back-to-back meetings ${formatClock(chain.start)}-${formatClock(chain.end)}`);
+        }
+        for (const travel of schedule.travelConflicts.slice(0, 2)) {
+            parts.push(`only ${travel.gapMinutes}min to get from ${travel.from.location} to ${travel.to.location} for "${travel.to.title}"`);
+        }
+        if (schedule.focusBlock) {
+            const { start, end, minutes } = schedule.focusBlock;
+            parts.push(`longest focus block today ${formatClock(start)}-${formatClock(end)} (${Math.floor(minutes / 60)}h ${minutes % 60}m)`);
+        }
+
+        return parts.length > 0 ? parts.join('; ') : 'No conflicts, no focus time left today';
+    }
 }
\ No newline at end of file
@@ -0,0 +1,179 @@
+// meeting-classifier.js - Meeting type classification with per-series overrides for GNOME At A Glance
+//
+// Each type scores an event on its title, description, duration, attendee count, the mix
+// of attendee domains, recurrence and the calendar it comes from; the best score wins
+// when it reaches MIN_SCORE, otherwise the meeting is "general". A type the user picked
+// for a series (same UID, or same title when there is none) always wins and is kept in
+// meeting-types.json.
+import { CONFIG_DIR, readJsonMap, writeJsonMap } from './json-store.js';
+
+export const MEETING_TYPES = ['standup', 'one-on-one', 'interview', 'all-hands', 'presentation', 'review', 'client', 'general'];
+
+export const MEETING_TYPE_LABELS = {
+    'standup': 'Standup',
+    'one-on-one': 'One-on-one',
+    'interview': 'Interview',
+    'all-hands': 'All-hands',
+    'presentation': 'Presentation',
+    'review': 'Review',
+    'client': 'Client meeting',
+    'general': 'General'
+};
+
+const MIN_SCORE = 2.5;
+
+// Room and equipment addresses say nothing about who attends
+const RESOURCE_DOMAIN_PATTERN = /resource\.calendar\.google\.com$|^group\.calendar\.google\.com$/i;
+
+function keywordScore(features, pattern, titleWeight, descriptionWeight = 1) {
+    if (pattern.test(features.title)) return titleWeight;
+    if (pattern.test(features.description)) return descriptionWeight;
+    return 0;
+}
+
+// Scorers by type: points for and against, with a reason for each signal that counted
+const SCORERS = {
+    'standup': features => [
+        [keywordScore(features, /\b(stand-?up|daily|scrum|huddle)\b/i, 3), 'standup keyword'],
+        [features.durationMinutes !== null && features.durationMinutes <= 20 ? 1.5 : 0, 'short'],
+        [features.durationMinutes !== null && features.durationMinutes > 45 ? -2 : 0, 'too long for a standup'],
+        [features.isRecurring ? 1 : 0, 'recurring'],
+        [features.attendeeCount >= 3 ? 0.5 : 0, 'team-sized']
+    ],
+    'one-on-one': features => [
+        [keywordScore(features, /\b(1[:-]1|1on1|one[- ]on[- ]one)\b|\s<>\s/i, 3, 0), 'one-on-one keyword'],
+        [features.attendeeCount === 2 ? 2 : 0, 'two attendees'],
+        [features.attendeeCount > 3 ? -3 : 0, 'more than three attendees'],
+        [features.isRecurring ? 0.5 : 0, 'recurring']
+    ],
+    'interview': features => [
+        [keywordScore(features, /\b(interview|candidate|phone screen|screening|onsite loop)\b/i, 3), 'interview keyword'],
+        [/recruit|interview|hiring|talent/i.test(features.calendarName) ? 2 : 0, 'recruiting calendar']
+    ],
+    'all-hands': features => [
+        [keywordScore(features, /\b(all[- ]hands|town ?hall|company meeting|quarterly update|kick-?off)\b/i, 3), 'all-hands keyword'],
+        [features.attendeeCount >= 20 ? 2 : 0, '20+ attendees'],
+        [features.durationMinutes !== null && features.durationMinutes >= 45 ? 0.5 : 0, 'long']
+    ],
+    'presentation': features => [
+        [keywordScore(features, /\b(demo|presentation|keynote|showcase|pitch|webinar)\b/i, 3), 'presentation keyword'],
+        [features.attendeeCount >= 8 ? 0.5 : 0, 'large audience']
+    ],
+    'review': features => [
+        [keywordScore(features, /\b(review|retro|retrospective|post-?mortem|design crit)\b/i, 2.5, 0.5), 'review keyword'],
+        [features.durationMinutes !== null && features.durationMinutes >= 30 ? 0.5 : 0, '30+ minutes']
+    ],
+    'client': features => [
+        [keywordScore(features, /\b(client|customer|prospect|vendor|partner)\b/i, 3, 1), 'client keyword'],
+        [features.externalDomains > 0 ? 2.5 : 0, 'attendees from other organisations'],
+        [features.categories.includes('personal') ? -3 : 0, 'personal event']
+    ]
+};
+
+function getDomain(address) {
+    const at = (address || '').lastIndexOf('@');
+    return at > 0 ? address.slice(at + 1).toLowerCase() : null;
+}
+
+// Minutes between start and end, or null when either is missing
+export function getEventDurationMinutes(event) {
+    const start = new Date(event.start).getTime();
+    const end = new Date(event.end).getTime();
+    if (Number.isNaN(start) || Number.isNaN(end) || end < start) return null;
+    return Math.round((end - start) / (1000 * 60));
+}
+
+// One key for every occurrence of a recurring meeting
+export function getSeriesKey(event) {
+    if (event.uid) return `uid:${event.uid}`;
+    return `title:${(event.title || '').toLowerCase().replace(/\s+/g, ' ').trim()}`;
+}
+
+export class MeetingClassifier {
+    constructor() {
+        this.overridesFile = `${CONFIG_DIR}/meeting-types.json`;
+        this.overrides = this.loadOverrides(); // series key -> { type, title }
+    }
+
+    loadOverrides() {
+        return readJsonMap(this.overridesFile, 'meeting type overrides');
+    }
+
+    saveOverrides() {
+        writeJsonMap(this.overridesFile, this.overrides, 'meeting type overrides');
+    }
+
+    /**
+     * { type, source, confidence, reasons }: `source` is "override" when the user chose the
+     * type for this series, otherwise "classifier"; `confidence` runs from 0 to 1.
+     */
+    classify(event) {
+        const override = this.overrides.get(getSeriesKey(event));
+        if (override && MEETING_TYPES.includes(override.type)) {
+            return { type: override.type, source: 'override', confidence: 1, reasons: ['chosen for this series'] };
+        }
+        return this.detect(event);
+    }
+
+    // What the signals alone say, ignoring any override
+    detect(event) {
+        const features = this.extractFeatures(event);
+        let best = { type: 'general', score: 0, reasons: [] };
+        for (const [type, scorer] of Object.entries(SCORERS)) {
+            const signals = scorer(features).filter(([points]) => points !== 0);
+            const score = signals.reduce((sum, [points]) => sum + points, 0);
+            if (score > best.score) {
+                best = { type: type, score: score, reasons: signals.filter(([points]) => points > 0).map(([, reason]) => reason) };
+            }
+        }
+
+        if (best.score < MIN_SCORE) {
+            return { type: 'general', source: 'classifier', confidence: 0, reasons: [] };
+        }
+        return {
+            type: best.type,
+            source: 'classifier',
+            confidence: Math.min(1, best.score / 6),
+            reasons: best.reasons
+        };
+    }
+
+    extractFeatures(event) {
+        const attendees = (event.attendees || []).filter(attendee => attendee.email || attendee.name);
+        const domains = new Set(
+            [event.organizer?.email, ...attendees.map(attendee => attendee.email)]
+                .map(getDomain)
+                .filter(domain => domain && !RESOURCE_DOMAIN_PATTERN.test(domain))
+        );
+
+        return {
+            title: event.title || '',
+            description: event.description || '',
+            durationMinutes: getEventDurationMinutes(event),
+            // Calendar Server events carry no attendee list; 0 means unknown, not alone
+            attendeeCount: attendees.length,
+            externalDomains: Math.max(0, domains.size - 1),
+            isRecurring: Boolean(event.recurrenceId || event.features?.isRecurring),
+            calendarName: [event.calendarName, ...(event.sources || []).map(source => source.calendarName)]
+                .filter(Boolean).join(' '),
+            categories: event.features?.categories || event.categories || []
+        };
+    }
+
+    getOverride(event) {
+        return this.overrides.get(getSeriesKey(event))?.type || null;
+    }
+
+    // Pins the type for every occurrence of the event's series; null goes back to automatic
+    setOverride(event, type) {
+        const key = getSeriesKey(event);
+        if (type === null) {
+            this.overrides.delete(key);
+        } else if (MEETING_TYPES.includes(type)) {
+            this.overrides.set(key, { type: type, title: event.title || null });
+        } else {
+            throw new Error(`Unknown meeting type "${type}"`);
+        }
+        this.saveOverrides();
+    }
+}
@@ -0,0 +1,344 @@
+// meeting-notes.js - Markdown meeting notes scaffolded from calendar events for GNOME At A Glance
+//
+// Notes go to "notes.directory" (default ~/Notes/Meetings), one file per meeting instance
+// named "YYYY-MM-DD Title.md". Every note starts with YAML front matter holding the
+// instance and series keys, which is how an existing note is found again and how earlier
+// notes of a recurring meeting are linked. The body comes from "notes.template" or
+// DEFAULT_TEMPLATE with {{placeholders}} filled in.
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import { getMeetingKey } from './meeting-assistant.js';
+import { getSeriesKey } from './meeting-classifier.js';
+import { loadConfigSection } from './json-store.js';
+
+const DEFAULT_DIRECTORY = '~/Notes/Meetings';
+const MAX_TITLE_LENGTH = 80;
+const INDEX_ATTRIBUTES = 'standard::name,standard::type,time::modified';
+const ENUMERATE_BATCH = 50;
+
+export const DEFAULT_TEMPLATE = `# {{title}}
+
+**When:** {{date}} {{time}}-{{end_time}}
+**Where:** {{location}}
+**Organizer:** {{organizer}}
+
+## Attendees
+{{attendees}}
+
+## Links
+{{links}}
+
+## Preparation
+{{prep_tasks}}
+
+## Previous notes
+{{previous_note}}
+
+## Notes
+
+
+## Action items
+- [ ]
+`;
+
+function expandHome(path) {
+    return path.replace(/^~(?=\/|$)/, GLib.get_home_dir());
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function formatTime(date) {
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Characters that file systems or Obsidian links do not accept
+function toFileTitle(title) {
+    return (title || 'Untitled Meeting')
+        .replace(/[\\/:*?"<>|#^[\]]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_TITLE_LENGTH);
+}
+
+function markdownList(lines) {
+    return lines.length > 0 ? lines.join('\n') : '_None_';
+}
+
+// Reads the "key: value" lines between the leading --- fences; values written by
+// this module are JSON strings
+function parseFrontMatter(text) {
+    const match = /^---\n([\s\S]*?)\n---/.exec(text);
+    if (!match) return null;
+
+    const fields = {};
+    for (const line of match[1].split('\n')) {
+        const separator = line.indexOf(':');
+        if (separator <= 0) continue;
+        const value = line.slice(separator + 1).trim();
+        try {
+            fields[line.slice(0, separator).trim()] = JSON.parse(value);
+        } catch (error) {
+            fields[line.slice(0, separator).trim()] = value;
+        }
+    }
+    return fields;
+}
+
+// Gio's callback-style async calls as promises, at low priority so they yield to the shell
+function enumerateChildren(dir) {
+    return new Promise((resolve, reject) => {
+        dir.enumerate_children_async(INDEX_ATTRIBUTES, Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_LOW, null, (source, result) => {
+            try {
+                resolve(source.enumerate_children_finish(result));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+function nextFiles(enumerator) {
+    return new Promise((resolve, reject) => {
+        enumerator.next_files_async(ENUMERATE_BATCH, GLib.PRIORITY_LOW, null, (source, result) => {
+            try {
+                resolve(source.next_files_finish(result));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+function loadContents(file) {
+    return new Promise((resolve, reject) => {
+        file.load_contents_async(null, (source, result) => {
+            try {
+                const [, contents] = source.load_contents_finish(result);
+                resolve(new TextDecoder().decode(contents));
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+export class MeetingNotes {
+    constructor(meetingAssistant) {
+        this.meetingAssistant = meetingAssistant;
+        // path -> { modified, meta: { event_id, series, recurrence_id, title, date } }, kept
+        // current by refreshIndex() so the lookups below never touch the disk
+        this.index = new Map();
+    }
+
+    loadConfig() {
+        return loadConfigSection('notes');
+    }
+
+    getDirectory() {
+        return expandHome(this.loadConfig().directory || DEFAULT_DIRECTORY);
+    }
+
+    /**
+     * Path of the note for this meeting instance, or null. A rescheduled meeting keeps
+     * its note: besides the exact instance key (UID and start), a note of the same series
+     * with the same RECURRENCE-ID matches, which for a one-off meeting is its UID alone.
+     */
+    findNote(event) {
+        const notes = this._getNotes();
+        const eventId = getMeetingKey(event);
+        const exact = notes.find(note => note.meta.event_id === eventId);
+        if (exact || !event.uid) return exact?.path || null;
+
+        const series = getSeriesKey(event);
+        const recurrenceId = event.recurrenceId || null;
+        return notes.find(note => note.meta.series === series && (note.meta.recurrence_id || null) === recurrenceId)?.path || null;
+    }
+
+    // The latest note of an earlier occurrence of the same series, or null
+    findPreviousNote(event) {
+        const series = getSeriesKey(event);
+        const start = new Date(event.start).getTime();
+        return this._getNotes()
+            .filter(note => note.meta.series === series && new Date(note.meta.date).getTime() < start)
+            .sort((a, b) => new Date(b.meta.date) - new Date(a.meta.date))[0] || null;
+    }
+
+    // Notes of meetings that have started, newest first: [{ path, meta }]
+    getRecentNotes(limit = 5, now = new Date()) {
+        return this._getNotes()
+            .filter(note => new Date(note.meta.date).getTime() <= now.getTime())
+            .sort((a, b) => new Date(b.meta.date) - new Date(a.meta.date))
+            .slice(0, limit);
+    }
+
+    /**
+     * Returns { path, created } for the event's note, writing it from the template first
+     * when the instance has none yet. Throws when the directory cannot be written.
+     */
+    startNotes(event) {
+        const existing = this.findNote(event);
+        if (existing) return { path: existing, created: false };
+
+        const directory = this.getDirectory();
+        const dir = Gio.File.new_for_path(directory);
+        if (!dir.query_exists(null)) {
+            dir.make_directory_with_parents(null);
+        }
+
+        const contents = new TextEncoder().encode(this.renderNote(event, this.findPreviousNote(event)));
+        const file = this._createNoteFile(dir, new Date(event.start), toFileTitle(event.title), contents);
+        // Indexed right away, the next refreshIndex() re-reads it with its modification time
+        this.index.set(file.get_path(), { modified: 0, meta: parseFrontMatter(new TextDecoder().decode(contents)) });
+        console.log(`At A Glance: Created meeting note ${file.get_path()}`);
+        return { path: file.get_path(), created: true };
+    }
+
+    // Writes a new note file and returns it, never touching an existing file: another
+    // meeting with the same title on the same day gets its start time added, and after
+    // that a counter ("2026-03-05 0930 Standup 2.md")
+    _createNoteFile(dir, start, title, contents) {
+        const dated = `${formatDate(start)} ${title}`;
+        const timed = `${formatDate(start)} ${pad(start.getHours())}${pad(start.getMinutes())} ${title}`;
+        for (let attempt = 0; ; attempt++) {
+            const name = attempt === 0 ? dated : attempt === 1 ? timed : `${timed} ${attempt}`;
+            const file = dir.get_child(`${name}.md`);
+
+            let stream;
+            try {
+                stream = file.create(Gio.FileCreateFlags.NONE, null);
+            } catch (error) {
+                if (error.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.EXISTS)) continue;
+                throw error;
+            }
+            try {
+                stream.write_all(contents, null);
+            } finally {
+                stream.close(null);
+            }
+            return file;
+        }
+    }
+
+    openNote(path) {
+        Gio.AppInfo.launch_default_for_uri(Gio.File.new_for_path(path).get_uri(), null);
+    }
+
+    renderNote(event, previousNote = null) {
+        const context = this.meetingAssistant.generateMeetingContext(event);
+        const start = new Date(event.start);
+        const end = new Date(event.end);
+        const attendees = (event.attendees || []).map(attendee => {
+            const name = attendee.name && attendee.email ? `${attendee.name} <${attendee.email}>` : attendee.name || attendee.email;
+            return `- ${name}${attendee.partstat && attendee.partstat !== 'NEEDS-ACTION' ? ` (${attendee.partstat.toLowerCase()})` : ''}`;
+        });
+        const links = [
+            ...context.links.map(link => `- [Join (${link.type})](${link.url})`),
+            ...context.preparationTasks.filter(task => task.url).map(task => `- ${task.url}`)
+        ];
+        const prepTasks = context.preparationTasks
+            .filter(task => !task.url)
+            .map(task => `- [${task.todoist?.completed ? 'x' : ' '}] ${task.task}`);
+
+        const values = {
+            title: event.title || 'Untitled Meeting',
+            date: formatDate(start),
+            time: formatTime(start),
+            end_time: formatTime(end),
+            location: event.location || '_None_',
+            organizer: event.organizer ? event.organizer.name || event.organizer.email : '_None_',
+            calendar: event.calendarName || '',
+            meeting_type: context.meetingType,
+            attendees: markdownList(attendees),
+            links: markdownList(links),
+            prep_tasks: markdownList(prepTasks),
+            previous_note: previousNote
+                ? `[${GLib.path_get_basename(previousNote.path).replace(/\.md$/, '')}](${encodeURI(GLib.path_get_basename(previousNote.path))})`
+                : '_None_'
+        };
+        const body = this._loadTemplate().replace(/\{\{(\w+)\}\}/g, (placeholder, name) => values[name] ?? placeholder);
+
+        const frontMatter = [
+            '---',
+            `title: ${JSON.stringify(values.title)}`,
+            `date: ${JSON.stringify(start.toISOString())}`,
+            `event_id: ${JSON.stringify(getMeetingKey(event))}`,
+            `series: ${JSON.stringify(getSeriesKey(event))}`,
+            `recurrence_id: ${JSON.stringify(event.recurrenceId || null)}`,
+            `meeting_type: ${JSON.stringify(context.meetingType)}`,
+            '---',
+            ''
+        ].join('\n');
+        return frontMatter + body;
+    }
+
+    _loadTemplate() {
+        const templatePath = this.loadConfig().template;
+        if (!templatePath) return DEFAULT_TEMPLATE;
+
+        try {
+            const [success, contents] = Gio.File.new_for_path(expandHome(templatePath)).load_contents(null);
+            if (success) return new TextDecoder().decode(contents);
+        } catch (error) {
+            console.log(`At A Glance: Could not read note template ${templatePath}, using the default:`, error);
+        }
+        return DEFAULT_TEMPLATE;
+    }
+
+    // Front matter of this module's notes as of the last refreshIndex()
+    _getNotes() {
+        return [...this.index]
+            .filter(([, entry]) => entry.meta)
+            .map(([path, entry]) => ({ path: path, meta: entry.meta }));
+    }
+
+    /**
+     * Brings the index up to date with the notes directory, re-reading only files that are
+     * new or modified. Called from the refresh cycle; everything goes through Gio's async
+     * calls so a large or slow (network) directory never blocks the shell.
+     */
+    async refreshIndex() {
+        const seen = new Set();
+        try {
+            const dir = Gio.File.new_for_path(this.getDirectory());
+            let enumerator;
+            try {
+                enumerator = await enumerateChildren(dir);
+            } catch (error) {
+                // No notes written yet
+                if (!error.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) throw error;
+            }
+
+            let infos;
+            while (enumerator && (infos = await nextFiles(enumerator)).length > 0) {
+                for (const info of infos) {
+                    if (info.get_file_type() !== Gio.FileType.REGULAR || !info.get_name().endsWith('.md')) continue;
+
+                    const file = dir.get_child(info.get_name());
+                    const path = file.get_path();
+                    const modified = info.get_modification_date_time()?.to_unix() || 0;
+                    seen.add(path);
+                    if (this.index.get(path)?.modified === modified) continue;
+
+                    const meta = parseFrontMatter(await loadContents(file));
+                    // Other Markdown files are remembered too, so they are not re-read every time
+                    this.index.set(path, { modified: modified, meta: meta?.event_id && meta.date ? meta : null });
+                }
+            }
+            enumerator?.close(null);
+        } catch (error) {
+            console.log('At A Glance: Could not read meeting notes:', error);
+            return;
+        }
+
+        for (const path of [...this.index.keys()]) {
+            if (!seen.has(path)) this.index.delete(path);
+        }
+    }
+}
@@ -0,0 +1,199 @@
+// meeting-notifications.js - Pre-meeting reminders with a preparation checklist for GNOME At A Glance
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as Config from 'resource:///org/gnome/shell/misc/config.js';
+
+import { getMeetingKey } from './meeting-assistant.js';
+import { CONFIG_DIR, loadConfigSection, pruneStartedMeetings, readJsonMap, writeJsonMap } from './json-store.js';
+
+// GNOME 46 switched Source and Notification to property constructors
+const SHELL_MAJOR = parseInt(Config.PACKAGE_VERSION.split('.')[0]);
+
+const SNOOZE_MINUTES = 5;
+const MAX_CHECKLIST_ITEMS = 5;
+
+/**
+ * Shows a notification `preparationTime` minutes before each upcoming meeting, listing
+ * MeetingAssistant's preparation tasks, with Join, Snooze, Open agenda doc and Dismiss
+ * actions. Shown, snoozed and dismissed reminders are kept in meeting-reminders.json so
+ * a shell restart neither repeats nor forgets them.
+ */
+export class MeetingNotifier {
+    constructor(meetingAssistant) {
+        this.meetingAssistant = meetingAssistant;
+        this.stateFile = `${CONFIG_DIR}/meeting-reminders.json`;
+        this.reminders = this.loadState(); // event key -> { state: shown|snoozed|dismissed, until, start }
+        this.timeouts = new Map(); // event key -> GLib source id
+        this.notifications = new Map(); // event key -> MessageTray.Notification
+        this.source = null;
+    }
+
+    loadState() {
+        return readJsonMap(this.stateFile, 'meeting reminder state');
+    }
+
+    saveState() {
+        writeJsonMap(this.stateFile, this.reminders, 'meeting reminder state');
+    }
+
+    isEnabled() {
+        return loadConfigSection('features').meeting_notifications !== false;
+    }
+
+    // Re-arms one timer per upcoming meeting; called with the attended events after every refresh
+    update(events) {
+        this._clearTimeouts();
+        this._pruneState();
+        if (!this.isEnabled()) return;
+
+        const now = Date.now();
+        for (const context of this.meetingAssistant.getUpcomingMeetingsWithContext(events)) {
+            const key = getMeetingKey(context.event);
+            const reminder = this.reminders.get(key);
+            if (reminder && reminder.state !== 'snoozed') continue;
+
+            const start = new Date(context.event.start).getTime();
+            if (start <= now) continue;
+            // Meetings found later than their prep time are reminded of right away
+            this._schedule(key, context, reminder ? reminder.until : start - context.preparationTime * 60 * 1000);
+        }
+    }
+
+    _schedule(key, context, fireAt) {
+        if (this.timeouts.has(key)) GLib.source_remove(this.timeouts.get(key));
+
+        const delaySeconds = Math.max(0, Math.ceil((fireAt - Date.now()) / 1000));
+        const sourceId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, delaySeconds, () => {
+            this.timeouts.delete(key);
+            this._showReminder(key, context);
+            return GLib.SOURCE_REMOVE;
+        });
+        this.timeouts.set(key, sourceId);
+    }
+
+    // Forgets reminders for meetings that started more than a day ago
+    _pruneState() {
+        if (pruneStartedMeetings(this.reminders)) this.saveState();
+    }
+
+    _setState(key, event, state, until = null) {
+        this.reminders.set(key, { state: state, until: until, start: event.start });
+        this.saveState();
+    }
+
+    _showReminder(key, context) {
+        const event = context.event;
+        const minutesUntil = Math.max(0, Math.round((new Date(event.start) - Date.now()) / (1000 * 60)));
+        const title = minutesUntil > 0 ? `${event.title} in ${minutesUntil} min` : `${event.title} is starting`;
+
+        const checklist = context.preparationTasks
+            .slice(0, MAX_CHECKLIST_ITEMS)
+            .map(task => `${task.todoist?.completed ? '✓' : '•'} ${task.task}`);
+        const body = checklist.length > 0 ? checklist.join('\n') : 'Nothing to prepare';
+
+        const notification = this._createNotification(title, body);
+        this.notifications.get(key)?.destroy();
+        this.notifications.set(key, notification);
+        notification.connect('destroy', () => {
+            if (this.notifications.get(key) === notification) this.notifications.delete(key);
+        });
+
+        if (context.primaryLink) {
+            notification.addAction('Join', () => {
+                this._setState(key, event, 'dismissed');
+                this._launch(this.meetingAssistant.getJoinUri(context.primaryLink));
+                notification.destroy();
+            });
+        }
+        notification.addAction(`Snooze ${SNOOZE_MINUTES} min`, () => this._snooze(key, context));
+
+        const agendaDoc = context.preparationTasks.find(task => task.type === 'document' && task.url);
+        if (agendaDoc) {
+            notification.addAction('Open agenda doc', () => this._launch(agendaDoc.url));
+        }
+        notification.addAction('Dismiss', () => {
+            this._setState(key, event, 'dismissed');
+            notification.destroy();
+        });
+
+        // Shown until acted upon; a restart must not bring it back
+        this._setState(key, event, 'shown');
+        this._showNotification(notification);
+        console.log(`At A Glance: Pre-meeting reminder for "${event.title}" (${checklist.length} prep items)`);
+    }
+
+    _snooze(key, context) {
+        const start = new Date(context.event.start).getTime();
+        const until = Math.min(Date.now() + SNOOZE_MINUTES * 60 * 1000, start);
+        this._setState(key, context.event, 'snoozed', until);
+        this.notifications.get(key)?.destroy();
+        this._schedule(key, context, until);
+    }
+
+    _launch(uri) {
+        try {
+            Gio.AppInfo.launch_default_for_uri(uri, null);
+        } catch (error) {
+            console.log(`At A Glance: Could not open ${uri}:`, error);
+            Main.notify('At A Glance', 'Could not open link');
+        }
+    }
+
+    _getSource() {
+        if (this.source) return this.source;
+
+        this.source = SHELL_MAJOR >= 46
+            ? new MessageTray.Source({ title: 'At A Glance', iconName: 'x-office-calendar-symbolic' })
+            : new MessageTray.Source('At A Glance', 'x-office-calendar-symbolic');
+        this.source.connect('destroy', () => {
+            this.source = null;
+        });
+        Main.messageTray.add(this.source);
+        return this.source;
+    }
+
+    _createNotification(title, body) {
+        const source = this._getSource();
+        if (SHELL_MAJOR >= 46) {
+            return new MessageTray.Notification({
+                source: source,
+                title: title,
+                body: body,
+                urgency: MessageTray.Urgency.HIGH,
+                resident: true
+            });
+        }
+
+        const notification = new MessageTray.Notification(source, title, body);
+        notification.setUrgency(MessageTray.Urgency.HIGH);
+        notification.setResident(true);
+        return notification;
+    }
+
+    _showNotification(notification) {
+        if (SHELL_MAJOR >= 46) {
+            this.source.addNotification(notification);
+        } else {
+            this.source.showNotification(notification);
+        }
+    }
+
+    _clearTimeouts() {
+        for (const sourceId of this.timeouts.values()) {
+            GLib.source_remove(sourceId);
+        }
+        this.timeouts.clear();
+    }
+
+    destroy() {
+        this._clearTimeouts();
+        this.notifications.clear();
+        if (this.source) {
+            this.source.destroy();
+            this.source = null;
+        }
+    }
+}
@@ -0,0 +1,136 @@
+// meeting-prep-tasks.js - Pushes meeting preparation tasks to Todoist for GNOME At A Glance
+import { TodoistIntegration } from './todoist-integration.js';
+import { getMeetingKey } from './meeting-assistant.js';
+import { CONFIG_DIR, pruneStartedMeetings, readJsonMap, writeJsonMap } from './json-store.js';
+
+// Todoist rejects label names longer than this
+const MAX_LABEL_LENGTH = 60;
+
+// "Design review: Q3 roadmap" -> "Design_review_Q3_roadmap"
+function toLabelName(title) {
+    return (title || 'Meeting')
+        .replace(/[@,:]/g, ' ')
+        .trim()
+        .replace(/\s+/g, '_')
+        .slice(0, MAX_LABEL_LENGTH);
+}
+
+// RFC 3339 in UTC without milliseconds, as Todoist's due_datetime expects
+function toDueDatetime(time) {
+    return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Creates Todoist tasks from MeetingAssistant's preparation tasks, due before the
+ * meeting and labelled with its title. Created tasks are kept in prep-tasks.json
+ * (meeting key -> { title, start, tasks: { task text -> { id, completed, createdAt } } })
+ * so a task is never created twice, and their completion is read back from Todoist.
+ */
+export class PrepTaskTracker {
+    constructor(getApiToken) {
+        this.getApiToken = getApiToken;
+        this.stateFile = `${CONFIG_DIR}/prep-tasks.json`;
+        this.meetings = this.loadState();
+    }
+
+    loadState() {
+        return readJsonMap(this.stateFile, 'prep task state');
+    }
+
+    saveState() {
+        writeJsonMap(this.stateFile, this.meetings, 'prep task state');
+    }
+
+    isAvailable() {
+        return Boolean(this.getApiToken());
+    }
+
+    // Task text -> { id, completed, createdAt } for the tasks already created for this meeting
+    getTrackedTasks(event) {
+        return this.meetings.get(getMeetingKey(event))?.tasks || {};
+    }
+
+    getPendingTasks(context) {
+        const tracked = this.getTrackedTasks(context.event);
+        return context.preparationTasks.filter(task => !tracked[task.task]);
+    }
+
+    /**
+     * Creates a Todoist task for every preparation task not pushed before. Each one is
+     * recorded as soon as Todoist accepts it, so a failure halfway through only retries
+     * the rest. Returns the number of tasks created.
+     */
+    async pushPreparationTasks(context) {
+        const pending = this.getPendingTasks(context);
+        if (pending.length === 0 || !(await this._ensureClient())) return 0;
+
+        const event = context.event;
+        const key = getMeetingKey(event);
+        const start = new Date(event.start).getTime();
+        const options = {
+            // Due once preparation should have started, but never in the past
+            dueDatetime: toDueDatetime(Math.max(start - context.preparationTime * 60 * 1000, Date.now())),
+            labels: [toLabelName(event.title)],
+            description: `Preparation for "${event.title || 'Untitled Meeting'}" at ${new Date(start).toLocaleString()}`
+        };
+
+        if (!this.meetings.has(key)) {
+            this.meetings.set(key, { title: event.title || null, start: event.start, tasks: {} });
+        }
+        const meeting = this.meetings.get(key);
+
+        let created = 0;
+        for (const task of pending) {
+            const todoistTask = await TodoistIntegration.quickAddTask(task.task, null, options);
+            if (!todoistTask) break;
+
+            meeting.tasks[task.task] = { id: todoistTask.id, completed: false, createdAt: Date.now() };
+            this.saveState();
+            created++;
+        }
+
+        console.log(`At A Glance: Created ${created} of ${pending.length} prep tasks in Todoist for "${event.title}"`);
+        return created;
+    }
+
+    /**
+     * Marks tracked tasks that are no longer active in Todoist as completed. Only a
+     * successful fetch counts, and only for tasks created before it: a network error or a
+     * task newer than the fetched list must not complete anything.
+     */
+    async refreshCompletion() {
+        this._pruneState();
+        if (this.meetings.size === 0 || !(await this._ensureClient())) return;
+
+        if (!(await TodoistIntegration.refreshCache())) return;
+        const { tasks: activeTasks, lastUpdate } = TodoistIntegration.cache;
+
+        const activeIds = new Set(activeTasks.map(task => String(task.id)));
+        let changed = false;
+        for (const meeting of this.meetings.values()) {
+            for (const task of Object.values(meeting.tasks)) {
+                // Tasks tracked before createdAt was recorded are older than any fetch now
+                const fetchedAfterCreation = (task.createdAt || 0) < lastUpdate;
+                if (!task.completed && fetchedAfterCreation && !activeIds.has(String(task.id))) {
+                    task.completed = true;
+                    changed = true;
+                }
+            }
+        }
+        if (changed) this.saveState();
+    }
+
+    async _ensureClient() {
+        const token = this.getApiToken();
+        if (!token) return false;
+
+        if (TodoistIntegration.API_TOKEN !== token || !TodoistIntegration.httpSession) {
+            await TodoistIntegration.initialize(token);
+        }
+        return true;
+    }
+
+    _pruneState() {
+        if (pruneStartedMeetings(this.meetings)) this.saveState();
+    }
+}
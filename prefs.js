@@ -1,8 +1,99 @@
 import Gtk from 'gi://Gtk';
 import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
 
 import {ExtensionPreferences} from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
 
+import { UsageLedger, getBudgetStatus } from './ai-usage.js';
+
+const CONFIG_DIR = GLib.get_home_dir() + '/.config/at-a-glance';
+
+// Bar colours of the usage chart by request type
+const CHART_SERIES = [
+    ['insights', [0.21, 0.52, 0.89, 1]],
+    ['prioritization', [0.90, 0.38, 0.00, 1]]
+];
+
+function loadConfig() {
+    try {
+        const file = Gio.File.new_for_path(CONFIG_DIR + '/config.json');
+        if (file.query_exists(null)) {
+            const [success, contents] = file.load_contents(null);
+            if (success) {
+                return JSON.parse(new TextDecoder().decode(contents));
+            }
+        }
+    } catch (error) {
+        console.log('At A Glance: Could not read config:', error);
+    }
+    return {};
+}
+
+function formatCost(cost) {
+    return cost < 0.01 && cost > 0 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+}
+
+// "insights 3, prioritization 5", formatting each request type's totals with `format`
+function formatByType(totals, format) {
+    const none = { requests: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+    return CHART_SERIES
+        .map(([type]) => `${type} ${format(totals.types[type] || none)}`)
+        .join(', ');
+}
+
+function formatRequests(totals) {
+    return `${totals.requests} (${formatByType(totals, type => type.requests)})`;
+}
+
+function formatTokens(totals) {
+    const byType = formatByType(totals, type => (type.inputTokens + type.outputTokens).toLocaleString());
+    return `${totals.inputTokens.toLocaleString()} in, ${totals.outputTokens.toLocaleString()} out (${byType})`;
+}
+
+function formatSpend(totals, { limit }) {
+    const spent = limit === null ? formatCost(totals.cost) : `${formatCost(totals.cost)} of ${formatCost(limit)} budget`;
+    return `${spent} (${formatByType(totals, type => formatCost(type.cost))})`;
+}
+
+function formatHitRate({ cacheHits, cacheMisses }) {
+    const lookups = cacheHits + cacheMisses;
+    return lookups === 0 ? 'No lookups yet' : `${Math.round(cacheHits / lookups * 100)}% (${cacheHits} of ${lookups} lookups)`;
+}
+
+// Daily requests of the last 30 days as stacked bars, one colour per request type
+function createUsageChart(history) {
+    const area = new Gtk.DrawingArea({
+        content_height: 120,
+        hexpand: true,
+        margin_top: 12,
+        margin_bottom: 12,
+        margin_start: 12,
+        margin_end: 12
+    });
+    const max = Math.max(1, ...history.map(day => day.requests));
+
+    area.set_draw_func((widget, cr, width, height) => {
+        const slot = width / history.length;
+        const barWidth = Math.max(1, slot * 0.7);
+        history.forEach((day, index) => {
+            let top = height;
+            for (const [type, color] of CHART_SERIES) {
+                const barHeight = (day.types[type]?.requests || 0) / max * height;
+                if (barHeight === 0) continue;
+                cr.setSourceRGBA(...color);
+                cr.rectangle(index * slot + (slot - barWidth) / 2, top - barHeight, barWidth, barHeight);
+                cr.fill();
+                top -= barHeight;
+            }
+        });
+        cr.$dispose();
+    });
+    area.set_tooltip_text(`Requests per day, ${history[0].date} to ${history[history.length - 1].date}; ` +
+        'blue: insights, orange: prioritization');
+    return area;
+}
+
 export default class AtAGlancePreferences extends ExtensionPreferences {
     fillPreferencesWindow(window) {
         // Create a preferences page
@@ -45,5 +136,126 @@ export default class AtAGlancePreferences extends ExtensionPreferences {
             subtitle: 'secret-tool lookup service claude\nsecret-tool lookup service todoist\nsecret-tool lookup service openweather'
         });
         viewGroup.add(viewRow);
+
+        // Keyboard shortcuts
+        const settings = this.getSettings();
+        const shortcutGroup = new Adw.PreferencesGroup({
+            title: 'Keyboard Shortcuts',
+            description: 'Change with gsettings (see README)',
+        });
+        page.add(shortcutGroup);
+
+        const joinRow = new Adw.ActionRow({
+            title: 'Join Next Meeting',
+            subtitle: 'Opens the meeting link of the current or next meeting'
+        });
+        const joinLabel = new Gtk.ShortcutLabel({
+            accelerator: settings.get_strv('join-meeting-shortcut')[0] || '',
+            disabled_text: 'Disabled',
+            valign: Gtk.Align.CENTER
+        });
+        joinRow.add_suffix(joinLabel);
+        shortcutGroup.add(joinRow);
+
+        window.add(this._createUsagePage(window, settings));
+    }
+
+    // Requests, tokens and cost of AI insights and prioritization, with pause and reset
+    _createUsagePage(window, settings) {
+        const page = new Adw.PreferencesPage({
+            title: 'AI Usage',
+            icon_name: 'utilities-system-monitor-symbolic',
+        });
+
+        const ledger = new UsageLedger();
+        const groups = [];
+        const fillPage = () => {
+            groups.splice(0).forEach(group => page.remove(group));
+
+            const now = new Date();
+            const today = ledger.getDay(now);
+            const month = ledger.getMonth(now);
+            const history = ledger.getHistory(30, now);
+            const budget = getBudgetStatus(ledger, loadConfig().llm?.budget || {}, now);
+
+            const budgetNotes = { ok: null, warning: 'Budget nearly used', exceeded: 'Budget reached, AI requests are stopped' };
+            for (const [title, totals, limit] of [['Today', today, budget.daily], ['This Month', month, budget.monthly]]) {
+                const group = new Adw.PreferencesGroup({ title: title, description: budgetNotes[limit.state] });
+                group.add(new Adw.ActionRow({ title: 'Requests', subtitle: formatRequests(totals) }));
+                group.add(new Adw.ActionRow({ title: 'Tokens', subtitle: formatTokens(totals) }));
+                group.add(new Adw.ActionRow({ title: 'Cost', subtitle: formatSpend(totals, limit) }));
+                groups.push(group);
+            }
+
+            const historyTotals = history.reduce((sum, day) => ({
+                requests: sum.requests + day.requests,
+                cost: sum.cost + day.cost,
+                cacheHits: sum.cacheHits + day.cacheHits,
+                cacheMisses: sum.cacheMisses + day.cacheMisses
+            }), { requests: 0, cost: 0, cacheHits: 0, cacheMisses: 0 });
+            const historyGroup = new Adw.PreferencesGroup({
+                title: 'Last 30 Days',
+                description: `${historyTotals.requests} requests, ${formatCost(historyTotals.cost)}`
+            });
+            const chartFrame = new Gtk.Frame({ child: createUsageChart(history) });
+            historyGroup.add(chartFrame);
+            historyGroup.add(new Adw.ActionRow({ title: 'Cache Hit Rate', subtitle: formatHitRate(historyTotals) }));
+            groups.push(historyGroup);
+
+            groups.forEach(group => page.add(group));
+        };
+
+        const controlsGroup = new Adw.PreferencesGroup({ title: 'Controls' });
+
+        const pauseRow = new Adw.SwitchRow({
+            title: 'Pause AI Until Tomorrow',
+            subtitle: 'No insights or prioritization requests until midnight',
+            active: settings.get_int64('ai-paused-until') * 1000 > Date.now()
+        });
+        pauseRow.connect('notify::active', () => {
+            const now = new Date();
+            const midnight = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
+            settings.set_int64('ai-paused-until', pauseRow.active ? Math.floor(midnight.getTime() / 1000) : 0);
+        });
+        controlsGroup.add(pauseRow);
+
+        const resetRow = new Adw.ActionRow({
+            title: 'Reset Usage Counters',
+            subtitle: "Clears today's request counts and the token and cost history"
+        });
+        const resetButton = new Gtk.Button({
+            label: 'Reset',
+            valign: Gtk.Align.CENTER,
+            css_classes: ['destructive-action']
+        });
+        resetButton.connect('clicked', () => {
+            const dialog = new Adw.MessageDialog({
+                transient_for: window,
+                heading: 'Reset AI usage counters?',
+                body: 'Request counts, token and cost history and budget spending start again from zero.'
+            });
+            dialog.add_response('cancel', 'Cancel');
+            dialog.add_response('reset', 'Reset');
+            dialog.set_response_appearance('reset', Adw.ResponseAppearance.DESTRUCTIVE);
+            dialog.connect('response', (self, response) => {
+                if (response !== 'reset') return;
+                ledger.clear();
+                try {
+                    const usageFile = Gio.File.new_for_path(CONFIG_DIR + '/claude-usage.json');
+                    if (usageFile.query_exists(null)) usageFile.delete(null);
+                } catch (error) {
+                    console.log('At A Glance: Could not reset request counts:', error);
+                }
+                fillPage();
+            });
+            dialog.present();
+        });
+        resetRow.add_suffix(resetButton);
+        controlsGroup.add(resetRow);
+
+        // Controls stay on top; the usage groups below are rebuilt after a reset
+        page.add(controlsGroup);
+        fillPage();
+        return page;
     }
 }
\ No newline at end of file
@@ -0,0 +1,94 @@
+// prioritization-schema.js - JSON contract for the AI's choice of what the panel shows
+//
+// The model gets a list of candidate items built from the collected data and
+// must answer with one JSON object picking one of them (PRIORITY_SCHEMA). The answer is
+// checked strictly: unknown ids, a source that doesn't match the item, missing or extra
+// fields and out-of-range values are rejected, so the caller can fall back to its own
+// logic. The model only picks: the panel string is built from the chosen item itself, so
+// nothing the model made up can reach the panel.
+
+export const PRIORITY_SOURCES = ['calendar', 'task', 'weather', 'system'];
+
+const MAX_REASON_LENGTH = 200;
+
+export const PRIORITY_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', description: 'id of the chosen item from the list' },
+        source: { type: 'string', enum: PRIORITY_SOURCES },
+        urgency: { type: 'integer', minimum: 0, maximum: 100 },
+        reason: { type: 'string', maxLength: MAX_REASON_LENGTH }
+    },
+    required: ['id', 'source', 'urgency', 'reason'],
+    additionalProperties: false
+};
+
+export class PrioritizationSchemaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PrioritizationSchemaError';
+    }
+}
+
+function fail(message) {
+    throw new PrioritizationSchemaError(message);
+}
+
+// The candidate list as it appears in the prompt, one item per line
+export function describeCandidates(candidates) {
+    return candidates
+        .map(candidate => `- id "${candidate.id}" (${candidate.source}): ${JSON.stringify(candidate.label)}${candidate.detail ? `, ${candidate.detail}` : ''}`)
+        .join('\n');
+}
+
+/**
+ * Parses and validates the model's reply against PRIORITY_SCHEMA and the candidates it
+ * was shown ({ id, source, label, display, icon }). Returns { id, source, text, icon,
+ * urgency, reason, candidate } where `text` and `icon` are the candidate's own display
+ * text and icon; throws PrioritizationSchemaError on any violation.
+ */
+export function parsePrioritization(reply, candidates) {
+    // The only leniency: a Markdown code fence around the object
+    const json = reply.trim().replace(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/, '$1').trim();
+
+    let value;
+    try {
+        value = JSON.parse(json);
+    } catch (error) {
+        fail(`Not JSON: ${error.message}`);
+    }
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        fail('Not a JSON object');
+    }
+
+    const extra = Object.keys(value).filter(key => !(key in PRIORITY_SCHEMA.properties));
+    if (extra.length > 0) fail(`Unexpected fields: ${extra.join(', ')}`);
+    for (const key of PRIORITY_SCHEMA.required) {
+        if (!(key in value)) fail(`Missing field: ${key}`);
+    }
+
+    for (const key of ['id', 'source', 'reason']) {
+        if (typeof value[key] !== 'string') fail(`${key} must be a string`);
+    }
+    if (!Number.isInteger(value.urgency) || value.urgency < 0 || value.urgency > 100) {
+        fail('urgency must be an integer from 0 to 100');
+    }
+    if (!PRIORITY_SOURCES.includes(value.source)) fail(`Unknown source "${value.source}"`);
+    if (value.reason.length > MAX_REASON_LENGTH) fail('reason too long');
+
+    const candidate = candidates.find(item => item.id === value.id);
+    if (!candidate) fail(`Unknown item id "${value.id}"`);
+    if (candidate.source !== value.source) {
+        fail(`Item "${value.id}" is from ${candidate.source}, not ${value.source}`);
+    }
+
+    return {
+        id: value.id,
+        source: value.source,
+        text: candidate.display,
+        icon: candidate.icon,
+        urgency: value.urgency,
+        reason: value.reason,
+        candidate: candidate
+    };
+}
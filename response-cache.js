@@ -0,0 +1,131 @@
+// response-cache.js - On-disk cache of AI responses for GNOME At A Glance
+//
+// Entries live in ~/.cache/at-a-glance/ai-responses.json (the XDG cache directory) and
+// survive shell restarts and extension reloads. Keys are SHA-256 hashes of the
+// normalized request context, so the same situation maps to the same entry no matter
+// how the context object was put together. Entries expire after the TTL, the file is
+// kept below MAX_ENTRIES and MAX_BYTES by dropping the oldest entries, and a file that
+// cannot be read is moved aside and replaced by an empty cache.
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+
+const MAX_ENTRIES = 200;
+const MAX_BYTES = 256 * 1024;
+
+// Same value, same text: object keys sorted, strings trimmed with whitespace collapsed
+function normalize(value) {
+    if (Array.isArray(value)) return value.map(normalize);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => [key, normalize(value[key])]));
+    }
+    if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ');
+    return value;
+}
+
+export function hashContext(context) {
+    return GLib.compute_checksum_for_string(GLib.ChecksumType.SHA256, JSON.stringify(normalize(context)), -1);
+}
+
+function isValidEntry(entry) {
+    return entry && typeof entry === 'object' && typeof entry.timestamp === 'number' && 'data' in entry;
+}
+
+export class ResponseCache {
+    constructor(ttlMinutes, cacheFile = GLib.get_user_cache_dir() + '/at-a-glance/ai-responses.json') {
+        this.ttlMinutes = ttlMinutes;
+        this.cacheFile = cacheFile;
+        this.entries = this.load(); // hash -> { type, provider, timestamp, data }
+    }
+
+    load() {
+        const file = Gio.File.new_for_path(this.cacheFile);
+        try {
+            if (!file.query_exists(null)) return new Map();
+
+            const [success, contents] = file.load_contents(null);
+            if (!success) return new Map();
+            const stored = JSON.parse(new TextDecoder().decode(contents));
+            if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+                throw new Error('not a JSON object');
+            }
+
+            const entries = new Map(Object.entries(stored).filter(([, entry]) => isValidEntry(entry)));
+            this._prune(entries);
+            return entries;
+        } catch (error) {
+            // Keep the broken file for inspection and start over
+            console.log(`At A Glance: AI response cache unreadable (${error.message}), starting empty`);
+            try {
+                file.move(Gio.File.new_for_path(`${this.cacheFile}.corrupt`), Gio.FileCopyFlags.OVERWRITE, null, null);
+            } catch (moveError) {
+                console.log('At A Glance: Could not move corrupt AI response cache aside:', moveError);
+            }
+            return new Map();
+        }
+    }
+
+    save() {
+        try {
+            const dir = Gio.File.new_for_path(GLib.path_get_dirname(this.cacheFile));
+            if (!dir.query_exists(null)) {
+                dir.make_directory_with_parents(null);
+            }
+
+            // replace_contents writes a temporary file and renames it over the old one, so
+            // a crash mid-write leaves the previous cache intact
+            Gio.File.new_for_path(this.cacheFile).replace_contents(
+                JSON.stringify(Object.fromEntries(this.entries)),
+                null, false,
+                Gio.FileCreateFlags.NONE,
+                null
+            );
+        } catch (error) {
+            console.error('At A Glance: Error saving AI response cache:', error);
+        }
+    }
+
+    // The entry ({ timestamp, data, ... }) for `key`, or null when there is none or it has expired
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+
+        if (this._ageMinutes(entry) >= this.ttlMinutes) {
+            this.entries.delete(key);
+            this.save();
+            return null;
+        }
+        return entry;
+    }
+
+    set(key, data, meta = {}) {
+        this.entries.set(key, { ...meta, timestamp: Date.now(), data: data });
+        this._prune(this.entries);
+        this.save();
+    }
+
+    clear() {
+        this.entries.clear();
+        this.save();
+    }
+
+    _ageMinutes(entry) {
+        return (Date.now() - entry.timestamp) / (1000 * 60);
+    }
+
+    // Drops expired entries, then the oldest ones until both size bounds hold
+    _prune(entries) {
+        for (const [key, entry] of [...entries]) {
+            if (this._ageMinutes(entry) >= this.ttlMinutes) entries.delete(key);
+        }
+
+        const byAge = [...entries].sort(([, a], [, b]) => a.timestamp - b.timestamp);
+        while (byAge.length > MAX_ENTRIES) {
+            entries.delete(byAge.shift()[0]);
+        }
+        while (byAge.length > 0 && new TextEncoder().encode(JSON.stringify(Object.fromEntries(entries))).length > MAX_BYTES) {
+            entries.delete(byAge.shift()[0]);
+        }
+    }
+}
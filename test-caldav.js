@@ -0,0 +1,139 @@
+#!/usr/bin/env -S gjs -m
+
+// Integration test for the CalDAV backend against a local Radicale instance
+//
+// Start a throwaway server first:
+//   python3 -m radicale --storage-filesystem-folder=/tmp/radicale --auth-type=none
+// then run from the repository root:
+//   gjs -m test-caldav.js
+//
+// CALDAV_URL, CALDAV_USER and CALDAV_PASSWORD override the defaults below.
+
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+import System from 'system';
+
+import { CalDAVClient } from './caldav-client.js';
+import { CalendarDataCollector } from './calendar-integration.js';
+
+const BASE_URL = GLib.getenv('CALDAV_URL') || 'http://localhost:5232/';
+const USERNAME = GLib.getenv('CALDAV_USER') || 'at-a-glance-test';
+const PASSWORD = GLib.getenv('CALDAV_PASSWORD') || 'test';
+const CALENDAR_NAME = 'At A Glance Test';
+const CALENDAR_URL = `${BASE_URL.replace(/\/?$/, '/')}${USERNAME}/at-a-glance-test-${Date.now()}/`;
+
+const session = new Soup.Session({ timeout: 10 });
+let failures = 0;
+
+function check(name, actual, expected) {
+    const actualText = JSON.stringify(actual);
+    if (actualText === JSON.stringify(expected)) {
+        console.log(`✓ ${name}: ${actualText}`);
+    } else {
+        console.log(`✗ ${name}: expected ${JSON.stringify(expected)}, got ${actualText}`);
+        failures++;
+    }
+}
+
+// Raw requests for setting up server state; the client under test only reads
+function request(method, url, contentType = null, body = null) {
+    const message = Soup.Message.new(method, url);
+    const credentials = new TextEncoder().encode(`${USERNAME}:${PASSWORD}`);
+    message.get_request_headers().append('Authorization', `Basic ${GLib.base64_encode(credentials)}`);
+    if (body !== null) {
+        message.set_request_body_from_bytes(contentType, new GLib.Bytes(new TextEncoder().encode(body)));
+    }
+
+    return new Promise((resolve, reject) => {
+        session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (source, result) => {
+            try {
+                session.send_and_read_finish(result);
+                resolve(message.get_status());
+            } catch (error) {
+                reject(error);
+            }
+        });
+    });
+}
+
+function toICSTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function putEvent(uid, summary, daysFromNow) {
+    const start = new Date(Date.now() + daysFromNow * 24 * 60 * 60 * 1000);
+    start.setUTCHours(10, 0, 0, 0);
+    const end = new Date(start.getTime() + 60 * 60 * 1000);
+
+    return request('PUT', `${CALENDAR_URL}${uid}.ics`, 'text/calendar; charset=utf-8', [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//At A Glance//Test//EN',
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `DTSTAMP:${toICSTime(new Date())}`,
+        `DTSTART:${toICSTime(start)}`,
+        `DTEND:${toICSTime(end)}`,
+        `SUMMARY:${summary}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n'));
+}
+
+async function readTitles(client, collector) {
+    const window = collector._getLookAheadWindow();
+    const calendars = await client.getEventComponents(window.start, window.end);
+    const calendar = calendars.find(candidate => candidate.calendarName === CALENDAR_NAME);
+    if (!calendar) return null;
+    return collector._parseICSContent(calendar.icsContent).map(event => event.title).sort();
+}
+
+async function testCalDAV() {
+    console.log(`=== TESTING CALDAV AGAINST ${BASE_URL} ===\n`);
+
+    const created = await request('MKCALENDAR', CALENDAR_URL, 'application/xml; charset=utf-8', `<?xml version="1.0" encoding="utf-8"?>
+<c:mkcalendar xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:set><d:prop><d:displayname>${CALENDAR_NAME}</d:displayname></d:prop></d:set>
+</c:mkcalendar>`);
+    check('MKCALENDAR created the test calendar', created, 201);
+
+    await putEvent('alpha', 'Alpha', 1);
+    await putEvent('beta', 'Beta', 3);
+    await putEvent('gamma', 'Outside window', 60);
+
+    const collector = new CalendarDataCollector();
+    const client = new CalDAVClient({ name: 'radicale', url: BASE_URL, username: USERNAME, password: PASSWORD });
+
+    const calendars = await client.getCalendars();
+    check('Discovery finds the test calendar', calendars.some(calendar => calendar.url === CALENDAR_URL), true);
+
+    check('Initial time-range query', await readTitles(client, collector), ['Alpha', 'Beta']);
+
+    const firstToken = client.syncState.get(CALENDAR_URL)?.syncToken || null;
+    check('Sync token recorded', firstToken !== null, true);
+
+    await putEvent('alpha', 'Alpha (moved)', 2);
+    await request('DELETE', `${CALENDAR_URL}beta.ics`);
+    await putEvent('delta', 'Delta', 5);
+
+    check('Incremental sync applies changes', await readTitles(client, collector), ['Alpha (moved)', 'Delta']);
+    check('Sync token advanced', client.syncState.get(CALENDAR_URL)?.syncToken !== firstToken, true);
+
+    check('Unchanged calendar stays the same', await readTitles(client, collector), ['Alpha (moved)', 'Delta']);
+
+    client.destroy();
+    collector.destroy();
+}
+
+try {
+    await testCalDAV();
+} catch (error) {
+    console.log(`✗ CalDAV test aborted: ${error.message}`);
+    console.log('  Is Radicale running? See the instructions at the top of this file.');
+    failures++;
+} finally {
+    await request('DELETE', CALENDAR_URL).catch(() => {});
+}
+
+console.log(`\n=== CALDAV TEST COMPLETE: ${failures === 0 ? 'all passed' : `${failures} failed`} ===`);
+System.exit(failures === 0 ? 0 : 1);
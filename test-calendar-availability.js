@@ -0,0 +1,114 @@
+#!/usr/bin/env -S gjs -m
+
+// Test script for attendance filtering of GNOME Calendar Server events
+//
+// The Calendar Server does not pass on attendees, status or transparency, so its events
+// get them from their Evolution Data Server copies. Both sources are stubbed here; the
+// merging, availability and filtering are the real ones. Run from the repository root:
+//   gjs -m test-calendar-availability.js
+
+import GLib from 'gi://GLib';
+import System from 'system';
+
+import { CalendarDataCollector, getAttendedEvents } from './calendar-integration.js';
+
+let failures = 0;
+
+function check(name, actual, expected) {
+    const actualText = JSON.stringify(actual);
+    if (actualText === JSON.stringify(expected)) {
+        console.log(`✓ ${name}: ${actualText}`);
+    } else {
+        console.log(`✗ ${name}: expected ${JSON.stringify(expected)}, got ${actualText}`);
+        failures++;
+    }
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Tomorrow at `hour`:00 local time
+function tomorrowAt(hour) {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1, hour);
+}
+
+function toICSUtc(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T` +
+        `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00Z`;
+}
+
+// One event as the Calendar Server's EventsAddedOrUpdated signal delivers it
+function calendarServerEvent(uid, title, start, end) {
+    return [
+        `source-1\n${uid}\n`,
+        title,
+        Math.floor(start.getTime() / 1000),
+        Math.floor(end.getTime() / 1000),
+        { location: new GLib.Variant('s', 'Room 4'), allDay: new GLib.Variant('b', false) }
+    ];
+}
+
+function edsEvent(uid, title, start, end, extraLines) {
+    return [
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SUMMARY:${title}`,
+        `DTSTART:${toICSUtc(start)}`,
+        `DTEND:${toICSUtc(end)}`,
+        'ORGANIZER;CN=Boss:mailto:boss@example.com',
+        ...extraLines,
+        'END:VEVENT'
+    ];
+}
+
+async function testCalendarServerEventsUseEDSAttendance() {
+    const meetings = [
+        { uid: 'declined@example.com', title: 'Budget review', hour: 10, lines: ['ATTENDEE;PARTSTAT=DECLINED:mailto:me@example.com'] },
+        { uid: 'tentative@example.com', title: 'Design sync', hour: 11, lines: ['ATTENDEE;PARTSTAT=TENTATIVE:mailto:me@example.com'] },
+        { uid: 'free@example.com', title: 'Office hours', hour: 13, lines: ['TRANSP:TRANSPARENT'] },
+        { uid: 'cancelled@example.com', title: 'Retro', hour: 14, lines: ['STATUS:CANCELLED'] },
+        { uid: 'accepted@example.com', title: 'Planning', hour: 15, lines: ['ATTENDEE;PARTSTAT=ACCEPTED:mailto:me@example.com'] }
+    ].map(meeting => ({ ...meeting, start: tomorrowAt(meeting.hour), end: tomorrowAt(meeting.hour + 1) }));
+
+    const collector = new CalendarDataCollector();
+    collector._loadCalendarConfig = () => ({ my_emails: ['me@example.com'] });
+    collector._readCalendarServerData = async () => meetings.map(meeting =>
+        collector._processCalendarServerEvent(calendarServerEvent(meeting.uid, meeting.title, meeting.start, meeting.end)));
+    collector.edsClient = {
+        getEventComponents: async () => [{
+            sourceUid: 'source-1',
+            calendarName: 'Work',
+            color: '#3465a4',
+            icsContent: [
+                'BEGIN:VCALENDAR',
+                'VERSION:2.0',
+                ...meetings.flatMap(meeting => edsEvent(meeting.uid, meeting.title, meeting.start, meeting.end, meeting.lines)),
+                'END:VCALENDAR'
+            ].join('\n')
+        }],
+        isWatching: () => true,
+        destroy: () => {}
+    };
+
+    const events = await collector.getCalendarEvents();
+    const byTitle = Object.fromEntries(events.map(event => [event.title, event]));
+
+    check('Copies merged into one event each', events.length, meetings.length);
+    check('Merged event keeps the Calendar Server as source', byTitle['Budget review']?.source, 'GNOME Calendar Server');
+    check('Declined', byTitle['Budget review']?.features.availability, 'declined');
+    check('Tentative', byTitle['Design sync']?.features.availability, 'tentative');
+    check('Free', byTitle['Office hours']?.features.availability, 'free');
+    check('Cancelled', byTitle['Retro']?.features.availability, 'cancelled');
+    check('Accepted', byTitle['Planning']?.features.availability, 'busy');
+    check('Organizer from EDS', byTitle['Budget review']?.organizer?.email, 'boss@example.com');
+    check('Only attended events remain', getAttendedEvents(events).map(event => event.title), ['Design sync', 'Planning']);
+
+    collector.destroy();
+}
+
+await testCalendarServerEventsUseEDSAttendance();
+
+console.log(`\n=== AVAILABILITY TEST COMPLETE: ${failures === 0 ? 'all passed' : `${failures} failed`} ===`);
+System.exit(failures === 0 ? 0 : 1);
@@ -0,0 +1,193 @@
+#!/usr/bin/env -S gjs -m
+
+// Test script for ICS timezone handling (UTC, TZID, VTIMEZONE and DST transitions)
+// Run from the repository root: gjs -m test-ics-timezones.js
+
+import System from 'system';
+
+import { CalendarDataCollector } from './calendar-integration.js';
+
+// Outlook-style definition with a Windows zone name that only the VTIMEZONE explains
+const W_EUROPE_VTIMEZONE = `BEGIN:VTIMEZONE
+TZID:W. Europe Standard Time
+BEGIN:STANDARD
+DTSTART:16010101T030000
+TZOFFSETFROM:+0200
+TZOFFSETTO:+0100
+RRULE:FREQ=YEARLY;INTERVAL=1;BYDAY=-1SU;BYMONTH=10
+END:STANDARD
+BEGIN:DAYLIGHT
+DTSTART:16010101T020000
+TZOFFSETFROM:+0100
+TZOFFSETTO:+0200
+RRULE:FREQ=YEARLY;INTERVAL=1;BYDAY=-1SU;BYMONTH=3
+END:DAYLIGHT
+END:VTIMEZONE`;
+
+const US_EASTERN_VTIMEZONE = `BEGIN:VTIMEZONE
+TZID:Custom/Eastern
+BEGIN:DAYLIGHT
+DTSTART:20070311T020000
+TZOFFSETFROM:-0500
+TZOFFSETTO:-0400
+RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU
+END:DAYLIGHT
+BEGIN:STANDARD
+DTSTART:20071104T020000
+TZOFFSETFROM:-0400
+TZOFFSETTO:-0500
+RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU
+END:STANDARD
+END:VTIMEZONE`;
+
+// Each case is a single VEVENT; expected values are absolute UTC instants
+const CORPUS = [
+    {
+        name: 'UTC value with trailing Z',
+        dtstart: 'DTSTART:20260115T150000Z',
+        expected: '2026-01-15T15:00:00.000Z'
+    },
+    {
+        name: 'IANA TZID in winter (CET, +01:00)',
+        dtstart: 'DTSTART;TZID=Europe/Berlin:20260115T090000',
+        expected: '2026-01-15T08:00:00.000Z'
+    },
+    {
+        name: 'IANA TZID in summer (CEST, +02:00)',
+        dtstart: 'DTSTART;TZID=Europe/Berlin:20260715T090000',
+        expected: '2026-07-15T07:00:00.000Z'
+    },
+    {
+        name: 'Quoted, vendor-prefixed TZID',
+        dtstart: 'DTSTART;TZID="/freeassociation.sourceforge.net/Europe/Berlin":20260715T090000',
+        expected: '2026-07-15T07:00:00.000Z'
+    },
+    {
+        name: 'VTIMEZONE: Saturday before EU spring forward',
+        vtimezone: W_EUROPE_VTIMEZONE,
+        dtstart: 'DTSTART;TZID=W. Europe Standard Time:20260328T120000',
+        expected: '2026-03-28T11:00:00.000Z'
+    },
+    {
+        name: 'VTIMEZONE: Monday after EU spring forward',
+        vtimezone: W_EUROPE_VTIMEZONE,
+        dtstart: 'DTSTART;TZID=W. Europe Standard Time:20260330T120000',
+        expected: '2026-03-30T10:00:00.000Z'
+    },
+    {
+        name: 'VTIMEZONE: Monday after EU fall back',
+        vtimezone: W_EUROPE_VTIMEZONE,
+        dtstart: 'DTSTART;TZID=W. Europe Standard Time:20261026T120000',
+        expected: '2026-10-26T11:00:00.000Z'
+    },
+    {
+        name: 'VTIMEZONE: non-existent 02:30 during US spring forward',
+        vtimezone: US_EASTERN_VTIMEZONE,
+        dtstart: 'DTSTART;TZID=Custom/Eastern:20260308T023000',
+        expected: '2026-03-08T07:30:00.000Z'
+    },
+    {
+        name: 'VTIMEZONE: ambiguous 01:30 during US fall back resolves to first occurrence',
+        vtimezone: US_EASTERN_VTIMEZONE,
+        dtstart: 'DTSTART;TZID=Custom/Eastern:20261101T013000',
+        expected: '2026-11-01T05:30:00.000Z'
+    },
+    {
+        name: 'IANA: ambiguous 01:30 during US fall back',
+        dtstart: 'DTSTART;TZID=America/New_York:20261101T013000',
+        expected: ['2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z']
+    },
+    {
+        name: 'Windows zone name without VTIMEZONE',
+        dtstart: 'DTSTART;TZID=Eastern Standard Time:20260715T090000',
+        expected: '2026-07-15T13:00:00.000Z'
+    }
+];
+
+function buildCalendar(testCase) {
+    return [
+        'BEGIN:VCALENDAR',
+        testCase.vtimezone || '',
+        'BEGIN:VEVENT',
+        'UID:tz-test',
+        `SUMMARY:${testCase.name}`,
+        testCase.dtstart,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\n');
+}
+
+let failures = 0;
+
+function check(name, actual, expected) {
+    const accepted = Array.isArray(expected) ? expected : [expected];
+    if (accepted.includes(actual)) {
+        console.log(`✓ ${name}: ${actual}`);
+    } else {
+        console.log(`✗ ${name}: expected ${accepted.join(' or ')}, got ${actual}`);
+        failures++;
+    }
+}
+
+function testTimezoneCorpus() {
+    console.log('=== TESTING ICS TIMEZONE RESOLUTION ===\n');
+
+    for (const testCase of CORPUS) {
+        const collector = new CalendarDataCollector();
+        const [event] = collector._parseICSContent(buildCalendar(testCase));
+        check(testCase.name, event ? event.start : 'no event', testCase.expected);
+    }
+}
+
+function testRecurrenceAcrossDST() {
+    console.log('\n=== TESTING WEEKLY RECURRENCE ACROSS DST ===\n');
+
+    const collector = new CalendarDataCollector();
+    collector._parseICSContent(`BEGIN:VCALENDAR\n${W_EUROPE_VTIMEZONE}\nEND:VCALENDAR`);
+
+    const zone = 'W. Europe Standard Time';
+    const resolver = collector.timezoneResolver;
+    const rule = collector.recurrenceExpander.parseRule('FREQ=WEEKLY;BYDAY=MO;COUNT=3');
+    const occurrences = collector.recurrenceExpander.expand(
+        { start: new Date(Date.UTC(2026, 9, 19, 9, 0, 0)), rrules: [rule], rdates: [], exdates: [] },
+        new Date(Date.UTC(2026, 0, 1)),
+        new Date(Date.UTC(2027, 0, 1)),
+        wallTime => resolver.toInstant(wallTime, zone)
+    ).map(wallTime => resolver.toInstant(wallTime, zone).toISOString());
+
+    // 09:00 local every Monday: CEST before 25 October, CET afterwards
+    check('Occurrence before fall back', occurrences[0], '2026-10-19T07:00:00.000Z');
+    check('Occurrence after fall back', occurrences[1], '2026-10-26T08:00:00.000Z');
+    check('Second occurrence after fall back', occurrences[2], '2026-11-02T08:00:00.000Z');
+
+    // An EXDATE given in UTC must remove the matching TZID occurrence
+    const exdate = collector._toZoneWallTime('20261026T080000Z', null, zone);
+    check('UTC EXDATE mapped to zone clock', exdate.wallTime.toISOString(), '2026-10-26T09:00:00.000Z');
+}
+
+function testAllDayEvents() {
+    console.log('\n=== TESTING ALL-DAY EVENTS ===\n');
+
+    const collector = new CalendarDataCollector();
+    const [event] = collector._parseICSContent([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:all-day',
+        'SUMMARY:All day',
+        'DTSTART;VALUE=DATE:20261025',
+        'DTEND;VALUE=DATE:20261026',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\n'));
+
+    // All-day events stay on local midnight regardless of DST changes that day
+    check('All-day start is local midnight', event.start, new Date(2026, 9, 25).toISOString());
+    check('All-day end is next local midnight', event.end, new Date(2026, 9, 26).toISOString());
+}
+
+testTimezoneCorpus();
+testRecurrenceAcrossDST();
+testAllDayEvents();
+
+console.log(`\n=== TIMEZONE TEST COMPLETE: ${failures === 0 ? 'all passed' : `${failures} failed`} ===`);
+System.exit(failures === 0 ? 0 : 1);
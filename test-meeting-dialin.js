@@ -0,0 +1,237 @@
+#!/usr/bin/env -S gjs -m
+
+// Parser corpus for MeetingAssistant dial-in extraction
+//
+// Each case is an invite body as the big meeting platforms generate it (numbers, IDs
+// and addresses changed). Run from the repository root:
+//   gjs -m test-meeting-dialin.js
+
+import System from 'system';
+
+import { MeetingAssistant } from './meeting-assistant.js';
+
+const assistant = new MeetingAssistant();
+let failures = 0;
+
+function check(name, actual, expected) {
+    const actualText = JSON.stringify(actual);
+    if (actualText === JSON.stringify(expected)) {
+        console.log(`✓ ${name}: ${actualText}`);
+    } else {
+        console.log(`✗ ${name}: expected ${JSON.stringify(expected)}, got ${actualText}`);
+        failures++;
+    }
+}
+
+const CORPUS = [
+    {
+        name: 'Zoom',
+        event: {
+            title: 'Quarterly planning',
+            location: 'https://us02web.zoom.us/j/85412345678?pwd=dGhpc2lzYXRlc3Q',
+            description: `Jane Doe is inviting you to a scheduled Zoom meeting.
+
+Join Zoom Meeting
+https://us02web.zoom.us/j/85412345678?pwd=dGhpc2lzYXRlc3Q
+
+Meeting ID: 854 1234 5678
+Passcode: 482913
+
+---
+
+One tap mobile
++16465550123,,85412345678#,,,,*482913# US (New York)
++13015550188,,85412345678#,,,,*482913# US (Washington DC)
+
+---
+
+Dial by your location
+• +1 646 555 0123 US (New York)
+• +1 301 555 0188 US (Washington DC)
+• +44 20 7946 0321 United Kingdom
+• +49 69 5050 1234 Germany
+
+Meeting ID: 854 1234 5678
+Passcode: 482913
+
+Find your local number: https://us02web.zoom.us/u/kbXyZ12
+
+---
+
+Join by SIP
+• 85412345678@zoomcrc.com
+
+Join by H.323
+• 162.255.37.11 (US West)
+Meeting ID: 854 1234 5678
+Passcode: 482913`
+        },
+        expected: {
+            platform: 'zoom',
+            meetingId: '854 1234 5678',
+            passcode: '482913',
+            pin: null,
+            dialIns: [
+                { number: '+16465550123', label: 'US (New York)', dialString: '+16465550123,,85412345678#,,,,*482913#' },
+                { number: '+13015550188', label: 'US (Washington DC)', dialString: '+13015550188,,85412345678#,,,,*482913#' },
+                { number: '+44 20 7946 0321', label: 'United Kingdom', dialString: '+442079460321,,85412345678#,,,,*482913#' },
+                { number: '+49 69 5050 1234', label: 'Germany', dialString: '+496950501234,,85412345678#,,,,*482913#' }
+            ],
+            sipAddresses: ['85412345678@zoomcrc.com']
+        }
+    },
+    {
+        name: 'Microsoft Teams',
+        event: {
+            title: 'Vendor sync',
+            location: 'Microsoft Teams Meeting',
+            description: `________________________________________________________________________________
+Microsoft Teams meeting
+Join on your computer, mobile app or room device
+Click here to join the meeting<https://teams.microsoft.com/l/meetup-join/19%3ameeting_NjQ5ZTE%40thread.v2/0?context=%7b%22Tid%22%3a%22abc%22%7d>
+Meeting ID: 245 123 456 789
+Passcode: aB3cD4
+Download Teams<https://www.microsoft.com/microsoft-teams/download-app> | Join on the web<https://www.microsoft.com/microsoft-teams/join-a-meeting>
+Or call in (audio only)
++1 323-555-0143,,123456789#   United States, Los Angeles
+(888) 555-0100,,123456789#   United States (Toll-free)
+Phone Conference ID: 123 456 789#
+Find a local number<https://dialin.teams.microsoft.com/local> | Reset PIN<https://dialin.teams.microsoft.com/usp/pstnconferencing>
+Join with a video conferencing device
+teams@vc.example.com
+Video Conference ID: 118 222 333 4
+Alternate VTC instructions<https://dialin.plcm.vc/teams/>
+Learn More<https://aka.ms/JoinTeamsMeeting> | Meeting options<https://teams.microsoft.com/meetingOptions/>
+________________________________________________________________________________`
+        },
+        expected: {
+            platform: 'teams',
+            meetingId: '245 123 456 789',
+            passcode: 'aB3cD4',
+            pin: '123 456 789',
+            dialIns: [
+                { number: '+1 323-555-0143', label: 'United States, Los Angeles', dialString: '+13235550143,,123456789#' }
+            ],
+            sipAddresses: ['teams@vc.example.com']
+        }
+    },
+    {
+        name: 'Webex',
+        event: {
+            title: 'Design review',
+            location: 'https://acme.webex.com/join/jdoe',
+            description: `-- Do not delete or change any of the following text. --
+
+When it's time, join your Webex meeting here.
+
+Meeting number (access code): 2631 234 5678
+Meeting password: Xy7kP3mQ (99757237 from phones and video systems)
+
+Join meeting <https://acme.webex.com/acme/j.php?MTID=m1234567890abcdef>
+
+Join by phone
++1-415-555-0001 United States Toll
++44-20-7946-0000 United Kingdom Toll
+Global call-in numbers <https://acme.webex.com/acme/globalcallin.php?MTID=m1234567890abcdef>
+
+Join from a video system or application
+Dial 26312345678@acme.webex.com
+You can also dial 173.243.2.68 and enter your meeting number.
+
+Need help? Go to https://help.webex.com`
+        },
+        expected: {
+            platform: 'webex',
+            meetingId: '2631 234 5678',
+            passcode: 'Xy7kP3mQ',
+            pin: '99757237',
+            dialIns: [
+                { number: '+1-415-555-0001', label: 'United States Toll', dialString: '+14155550001,,26312345678##,,99757237#' },
+                { number: '+44-20-7946-0000', label: 'United Kingdom Toll', dialString: '+442079460000,,26312345678##,,99757237#' }
+            ],
+            sipAddresses: ['26312345678@acme.webex.com']
+        }
+    },
+    {
+        name: 'Google Meet',
+        event: {
+            title: 'Weekly 1:1',
+            location: null,
+            description: `-::~:~::~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~::~:~::-
+Join with Google Meet: https://meet.google.com/abc-defg-hij
+Or dial: (US) +1 650-555-0199 PIN: 123 456 789#
+More phone numbers: https://tel.meet/abc-defg-hij?pin=123456789
+
+Learn more about Meet at: https://support.google.com/a/users/answer/9282720
+
+Please do not edit this section.
+-::~:~::~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~:~::~:~::-`
+        },
+        expected: {
+            platform: 'google-meet',
+            meetingId: null,
+            passcode: null,
+            pin: '123 456 789',
+            dialIns: [
+                { number: '+1 650-555-0199', label: '(US)', dialString: '+16505550199,,123456789#' }
+            ],
+            sipAddresses: []
+        }
+    },
+    {
+        name: 'Conference bridge',
+        event: {
+            title: 'Board call',
+            location: 'Phone',
+            description: `Agenda attached. Questions to assistant@example.com.
+
+Dial-in: +49 30 1234 5678
+Alternative: +41 44 555 12 34 (Zürich)
+Conference code: 998877
+Participant PIN: 4455#
+
+SIP: sip:bridge-998877@conf.example.org`
+        },
+        expected: {
+            platform: 'generic',
+            meetingId: '998877',
+            passcode: null,
+            pin: '4455',
+            dialIns: [
+                { number: '+49 30 1234 5678', label: null, dialString: '+493012345678,,4455#' },
+                { number: '+41 44 555 12 34', label: '(Zürich)', dialString: '+41445551234,,4455#' }
+            ],
+            sipAddresses: ['bridge-998877@conf.example.org']
+        }
+    },
+    {
+        name: 'In-person meeting',
+        event: {
+            title: 'Lunch with Sam',
+            location: 'Cafe Central, Main St 12',
+            description: 'Reach me at sam@example.com or +1 555 0100 if running late.'
+        },
+        expected: {
+            platform: 'generic',
+            meetingId: null,
+            passcode: null,
+            pin: null,
+            dialIns: [],
+            sipAddresses: []
+        }
+    }
+];
+
+console.log('=== TESTING DIAL-IN EXTRACTION ===\n');
+
+for (const { name, event, expected } of CORPUS) {
+    const info = assistant.extractDialInInfo(event);
+    for (const field of Object.keys(expected)) {
+        check(`${name} ${field}`, info[field], expected[field]);
+    }
+    check(`${name} has dial-in info`, assistant.hasDialInInfo(info), expected.dialIns.length > 0 || expected.sipAddresses.length > 0);
+    console.log('');
+}
+
+console.log(`=== DIAL-IN TEST COMPLETE: ${failures === 0 ? 'all passed' : `${failures} failed`} ===`);
+System.exit(failures === 0 ? 0 : 1);
@@ -1,7 +1,14 @@
 // todoist-integration.js - Todoist API integration for At A Glance extension
-const { Soup, GLib } = imports.gi;
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import Soup from 'gi://Soup?version=3.0';
+import St from 'gi://St';
 
-const TodoistIntegration = {
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+
+export const TodoistIntegration = {
     API_BASE_URL: 'https://api.todoist.com/rest/v2',
     API_TOKEN: '', // Will be loaded from config
     
@@ -31,34 +38,41 @@ const TodoistIntegration = {
         const message = Soup.Message.new(method, url);
         
         // Add authentication header
-        message.request_headers.append('Authorization', `Bearer ${this.API_TOKEN}`);
-        message.request_headers.append('Content-Type', 'application/json');
+        message.get_request_headers().append('Authorization', `Bearer ${this.API_TOKEN}`);
         
         if (data) {
-            message.set_request('application/json', Soup.MemoryUse.COPY, JSON.stringify(data));
+            const body = new TextEncoder().encode(JSON.stringify(data));
+            message.set_request_body_from_bytes('application/json', new GLib.Bytes(body));
         }
         
         return new Promise((resolve, reject) => {
-            this.httpSession.queue_message(message, (session, message) => {
-                if (message.status_code === 200) {
-                    try {
-                        const response = JSON.parse(message.response_body.data);
-                        resolve(response);
-                    } catch (e) {
-                        reject(e);
+            this.httpSession.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                try {
+                    const bytes = session.send_and_read_finish(result);
+                    const status = message.get_status();
+                    
+                    // Closing a task answers 204 No Content
+                    if (status === 204) {
+                        resolve(null);
+                    } else if (status === 200) {
+                        resolve(JSON.parse(new TextDecoder().decode(bytes.get_data())));
+                    } else {
+                        reject(new Error(`Todoist API error: ${status}`));
                     }
-                } else {
-                    reject(new Error(`Todoist API error: ${message.status_code}`));
+                } catch (e) {
+                    reject(e);
                 }
             });
         });
     },
 
+    // Returns whether the cache now holds a fetch that succeeded within CACHE_DURATION.
+    // A failed fetch keeps the previous data and returns false.
     async refreshCache() {
         const now = Date.now();
         
         if (this.cache.lastUpdate && (now - this.cache.lastUpdate) < this.CACHE_DURATION * 1000) {
-            return; // Cache is still valid
+            return true; // Cache is still valid
         }
         
         try {
@@ -71,6 +85,10 @@ const TodoistIntegration = {
             // Fetch labels
             const labels = await this.makeRequest('labels');
             
+            if (![tasks, projects, labels].every(Array.isArray)) {
+                throw new Error('unexpected response');
+            }
+            
             // Update cache
             this.cache = {
                 tasks: tasks,
@@ -79,9 +97,11 @@ const TodoistIntegration = {
                 lastUpdate: now
             };
             
-            log(`Todoist cache updated: ${tasks.length} tasks, ${projects.length} projects`);
+            console.log(`At A Glance: Todoist cache updated: ${tasks.length} tasks, ${projects.length} projects`);
+            return true;
         } catch (e) {
-            log(`Failed to update Todoist cache: ${e}`);
+            console.log(`At A Glance: Failed to update Todoist cache: ${e}`);
+            return false;
         }
     },
 
@@ -247,14 +267,26 @@ const TodoistIntegration = {
         }
     },
 
-    // Quick add task (for future enhancement)
-    async quickAddTask(content, due = null) {
+    // Quick add task
+    // options: { dueDatetime (RFC 3339, wins over `due`), labels (names), description }
+    async quickAddTask(content, due = null, options = {}) {
         try {
             const taskData = {
-                content: content,
-                due_string: due // Natural language like "tomorrow at 2pm"
+                content: content
             };
             
+            if (options.dueDatetime) {
+                taskData.due_datetime = options.dueDatetime;
+            } else if (due) {
+                taskData.due_string = due; // Natural language like "tomorrow at 2pm"
+            }
+            if (options.labels && options.labels.length > 0) {
+                taskData.labels = options.labels;
+            }
+            if (options.description) {
+                taskData.description = options.description;
+            }
+            
             const newTask = await this.makeRequest('tasks', 'POST', taskData);
             
             // Add to cache
@@ -312,8 +344,8 @@ const TodoistIntegration = {
     }
 };
 
-// Integration with main extension's DataCollector
-DataCollector.getTasks = async function() {
+// Integration with main extension's DataCollector: `DataCollector.getTasks = getTodoistTasks`
+export async function getTodoistTasks() {
     try {
         // Get API token from config
         const configFile = Gio.File.new_for_path(
@@ -367,10 +399,10 @@ DataCollector.getTasks = async function() {
         log(`Error getting Todoist tasks: ${e}`);
         return [];
     }
-};
+}
 
 // Example menu item for completing tasks
-const TodoistMenuItem = GObject.registerClass(
+export const TodoistMenuItem = GObject.registerClass(
 class TodoistMenuItem extends PopupMenu.PopupMenuItem {
     _init(task) {
         super._init(task.content);
@@ -0,0 +1,258 @@
+// travel-time.js - Travel time estimates and "leave now" timing for in-person events
+//
+// Places come from the "travel" config section: home and office as { address } or
+// { lat, lon }, and event locations are looked up in "places" (location text ->
+// { lat, lon }). Nothing leaves the machine unless asked for: "geocoder": "nominatim"
+// sends unknown addresses to OpenStreetMap Nominatim (results are cached on disk), and a
+// routing "provider" such as "osrm" gets the coordinates of each trip. Without a provider,
+// or when it fails, travel time is a straight-line estimate.
+import GLib from 'gi://GLib';
+import Soup from 'gi://Soup?version=3.0';
+
+import { CONFIG_DIR, loadConfigSection, readJsonMap, writeJsonMap } from './json-store.js';
+import { isPhysicalLocation } from './meeting-assistant.js';
+
+const DEFAULT_BUFFER_MINUTES = 10;
+const LOOK_AHEAD_MINUTES = 4 * 60;
+const ROUTE_CACHE_MINUTES = 15;
+const GEOCODE_RETRY_HOURS = 24;
+const NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+// Roads are rarely straight; average speeds include stops and parking
+const DETOUR_FACTOR = 1.4;
+const AVERAGE_SPEED_KMH = { driving: 50, transit: 25, cycling: 15, walking: 5 };
+
+function haversineKm(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+// Offline estimate from coordinates alone, in whole minutes
+export function estimateStraightLineMinutes(from, to, mode = 'driving') {
+    const speed = AVERAGE_SPEED_KMH[mode] || AVERAGE_SPEED_KMH.driving;
+    return Math.ceil(haversineKm(from, to) * DETOUR_FACTOR / speed * 60);
+}
+
+// Routing providers by name. A factory gets { getJson, config } and returns
+// { async route(from, to, mode) } resolving to minutes; from/to are { lat, lon }.
+const routingProviders = new Map();
+
+export function registerRoutingProvider(name, factory) {
+    routingProviders.set(name, factory);
+}
+
+// OSRM's demo server only routes cars; point osrm_url at another instance for foot or bike profiles
+const OSRM_PROFILES = { driving: 'driving', walking: 'foot', cycling: 'bike' };
+
+registerRoutingProvider('osrm', ({ getJson, config }) => ({
+    async route(from, to, mode) {
+        const profile = OSRM_PROFILES[mode];
+        if (!profile) throw new Error(`OSRM cannot route ${mode}`);
+
+        const base = (config.osrm_url || 'https://router.project-osrm.org').replace(/\/$/, '');
+        const result = await getJson(`${base}/route/v1/${profile}/${from.lon},${from.lat};${to.lon},${to.lat}?overview=false`);
+        if (result.code !== 'Ok' || !result.routes?.length) throw new Error(`OSRM: ${result.code}`);
+        return Math.ceil(result.routes[0].duration / 60);
+    }
+}));
+
+export class TravelTimeEstimator {
+    constructor() {
+        this.cacheFile = `${CONFIG_DIR}/travel-cache.json`;
+        this.session = new Soup.Session({ timeout: 15, user_agent: 'gnome-at-a-glance' });
+        this.geocodes = this.loadCache(); // address -> { lat, lon } or { failedAt } when not found
+        this.routes = new Map(); // from|to|mode -> { minutes, method, timestamp }
+        this.unresolved = new Set(); // addresses already logged as having no coordinates
+    }
+
+    loadCache() {
+        return readJsonMap(this.cacheFile, 'travel cache');
+    }
+
+    saveCache() {
+        writeJsonMap(this.cacheFile, this.geocodes, 'travel cache');
+    }
+
+    loadConfig() {
+        return loadConfigSection('travel');
+    }
+
+    /**
+     * When to leave for the next in-person event within LOOK_AHEAD_MINUTES:
+     * { event, origin, travelMinutes, bufferMinutes, leaveAt, method } or null when there
+     * is none, no home/office is configured or the trip cannot be estimated. `method` is
+     * the routing provider's name or "straight-line".
+     */
+    async getNextDeparture(events, now = new Date()) {
+        try {
+            const config = this.loadConfig();
+            const event = events
+                .filter(candidate => !candidate.features?.isAllDay && isPhysicalLocation(candidate.location))
+                .filter(candidate => {
+                    const minutesUntil = (new Date(candidate.start) - now) / (1000 * 60);
+                    return minutesUntil > 0 && minutesUntil <= LOOK_AHEAD_MINUTES;
+                })
+                .sort((a, b) => new Date(a.start) - new Date(b.start))[0];
+            if (!event) return null;
+
+            const origin = this._getOrigin(events, event, config, now);
+            if (!origin) return null;
+
+            const mode = config.mode || 'driving';
+            const estimate = await this.estimate(origin, { address: event.location }, mode, config);
+            if (!estimate) return null;
+
+            const bufferMinutes = config.buffer_minutes ?? DEFAULT_BUFFER_MINUTES;
+            const leaveAt = new Date(event.start).getTime() - (estimate.minutes + bufferMinutes) * 60 * 1000;
+            return {
+                event: event,
+                origin: origin.label,
+                travelMinutes: estimate.minutes,
+                bufferMinutes: bufferMinutes,
+                leaveAt: new Date(leaveAt).toISOString(),
+                method: estimate.method
+            };
+        } catch (error) {
+            console.log('At A Glance: Could not estimate travel time:', error);
+            return null;
+        }
+    }
+
+    // Minutes from one place to another ({ address } or { lat, lon }): { minutes, method } or null
+    async estimate(fromPlace, toPlace, mode = 'driving', config = {}) {
+        const from = await this._resolvePlace(fromPlace, config);
+        const to = await this._resolvePlace(toPlace, config);
+        if (!from || !to) return null;
+
+        const routeKey = `${from.lat},${from.lon}|${to.lat},${to.lon}|${mode}`;
+        const cached = this.routes.get(routeKey);
+        if (cached && Date.now() - cached.timestamp < ROUTE_CACHE_MINUTES * 60 * 1000) {
+            return { minutes: cached.minutes, method: cached.method };
+        }
+
+        let result = null;
+        const providerName = config.provider || 'none';
+        const factory = routingProviders.get(providerName);
+        if (factory) {
+            try {
+                const provider = factory({ getJson: url => this._getJson(url), config: config });
+                result = { minutes: await provider.route(from, to, mode), method: providerName };
+            } catch (error) {
+                console.log(`At A Glance: Routing via ${providerName} failed, using straight-line estimate:`, error);
+            }
+        } else if (providerName !== 'none') {
+            console.log(`At A Glance: Unknown routing provider "${providerName}", using straight-line estimate`);
+        }
+        result = result || { minutes: estimateStraightLineMinutes(from, to, mode), method: 'straight-line' };
+
+        this.routes.set(routeKey, { ...result, timestamp: Date.now() });
+        return result;
+    }
+
+    /**
+     * Coordinates for an address: from "places" (exact text, else the longest entry the
+     * address contains), then the geocode cache, then Nominatim when "geocoder" is
+     * "nominatim". Null when none of them knows it.
+     */
+    async geocode(address, config = {}) {
+        const key = address.trim().toLowerCase();
+        const known = this._lookupPlace(key, config.places);
+        if (known) return known;
+
+        const cached = this.geocodes.get(key);
+        if (cached && typeof cached.lat === 'number') return cached;
+        if (config.geocoder !== 'nominatim') {
+            if (!this.unresolved.has(key)) {
+                this.unresolved.add(key);
+                console.log(`At A Glance: No coordinates for "${address}"; add it to travel.places or set travel.geocoder`);
+            }
+            return null;
+        }
+        if (cached && Date.now() - cached.failedAt < GEOCODE_RETRY_HOURS * 60 * 60 * 1000) return null;
+
+        try {
+            const base = (config.nominatim_url || NOMINATIM_URL).replace(/\/$/, '');
+            const results = await this._getJson(`${base}/search?format=jsonv2&limit=1&q=${encodeURIComponent(address)}`);
+            const place = results[0] ? { lat: parseFloat(results[0].lat), lon: parseFloat(results[0].lon) } : null;
+            this.geocodes.set(key, place || { failedAt: Date.now() });
+            this.saveCache();
+            return place;
+        } catch (error) {
+            // Offline: not remembered as a failure, the next refresh tries again
+            console.log(`At A Glance: Could not geocode "${address}":`, error);
+            return null;
+        }
+    }
+
+    // Where the trip starts: an in-person meeting that ends before this one (we'll still be
+    // there), else the configured origin; "auto" means the office for events in weekday
+    // working hours
+    _getOrigin(events, event, config, now) {
+        const start = new Date(event.start);
+        const previous = events
+            .filter(other => other !== event && !other.features?.isAllDay && isPhysicalLocation(other.location))
+            .filter(other => new Date(other.end) > now && new Date(other.end) <= start)
+            .sort((a, b) => new Date(b.end) - new Date(a.end))[0];
+        if (previous) {
+            return { label: previous.title, address: previous.location };
+        }
+
+        const places = {
+            home: this._toPlace(config.home, 'home'),
+            office: this._toPlace(config.office, 'office')
+        };
+        const origin = config.origin || 'auto';
+        if (origin !== 'auto') return places[origin] || null;
+
+        const isWorkday = start.getDay() !== 0 && start.getDay() !== 6;
+        const isWorkHours = start.getHours() >= 8 && start.getHours() < 18;
+        return (isWorkday && isWorkHours ? places.office || places.home : places.home || places.office) || null;
+    }
+
+    _toPlace(entry, label) {
+        if (!entry) return null;
+        if (typeof entry === 'string') return entry.trim() ? { label: label, address: entry.trim() } : null;
+        if (typeof entry.lat === 'number' && typeof entry.lon === 'number') {
+            return { label: label, lat: entry.lat, lon: entry.lon };
+        }
+        return entry.address && entry.address.trim() ? { label: label, address: entry.address.trim() } : null;
+    }
+
+    // { lat, lon } of the "places" entry matching a lower-cased address, or null
+    _lookupPlace(key, places) {
+        if (!places || typeof places !== 'object') return null;
+        const entries = Object.entries(places)
+            .map(([name, place]) => [name.trim().toLowerCase(), place])
+            .filter(([name, place]) => name && typeof place?.lat === 'number' && typeof place?.lon === 'number');
+
+        const exact = entries.find(([name]) => name === key);
+        if (exact) return { lat: exact[1].lat, lon: exact[1].lon };
+        const contained = entries.filter(([name]) => key.includes(name))
+            .sort(([a], [b]) => b.length - a.length)[0];
+        return contained ? { lat: contained[1].lat, lon: contained[1].lon } : null;
+    }
+
+    async _resolvePlace(place, config) {
+        if (typeof place.lat === 'number' && typeof place.lon === 'number') return place;
+        return place.address ? this.geocode(place.address, config) : null;
+    }
+
+    _getJson(url) {
+        const message = Soup.Message.new('GET', url);
+        return new Promise((resolve, reject) => {
+            this.session.send_and_read_async(message, GLib.PRIORITY_DEFAULT, null, (session, result) => {
+                try {
+                    const bytes = session.send_and_read_finish(result);
+                    if (message.get_status() !== 200) throw new Error(`HTTP ${message.get_status()}`);
+                    resolve(JSON.parse(new TextDecoder().decode(bytes.get_data())));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }
+}